@@ -2,13 +2,26 @@
 collision.js
 ============
 
-This JavaScript file contains 6 collision functions:
+This JavaScript file contains 19 collision functions:
 
 - hitTestPoint
 - hitTestCircle
 - rectangleCollision
+- hitTestOrientedRectangle
+- orientedRectangleCollision
 - circleCollision
 - movingCircleCollision
+- hitTestPolygon
+- polygonCollision
+- hitTestShapes
+- hitTestLine
+- lineCollision
+- lineIntersection
+- hitTestSweptRectangle
+- hitTestSweptCircle
+- sweptCollision
+- tileCollision
+- isOnGround
 - bounceOffSurface
 
 To use them you'll need sprite objects with these minimum properties:
@@ -23,6 +36,14 @@ For circular sprites, you need these additional properties:
 
     diameter, radius
 
+For polygon sprites, you need these additional properties:
+
+    points, rotation, scaleX, scaleY, pivotX, pivotY
+
+For line sprites, you need these additional properties:
+
+    ax, ay, bx, by
+
 Optionally the sprites can include a mass property:
 
     mass
@@ -34,6 +55,10 @@ that use these properties.
 
 */
 
+//Dependencies
+import {vector, segmentIntersection} from "../library/vector";
+import {isOnStage} from "../library/display";
+
 /*
 hitTestPoint
 ------------
@@ -42,14 +67,37 @@ Use it to find out if a point is touching a circlular or rectangular sprite.
 Parameters: 
 a. An object with `x` and `y` properties.
 b. A sprite object with `x`, `y`, `centerX` and `centerY` properties.
+c. Optional: `true` if the point is in global coordinates, like the
+pointer's position. Otherwise, it's in the same coordinates as the
+sprite's `x` and `y` position.
 If the sprite has a `radius` property, the function will interpret
 the shape as a circle.
+The sprite's rotation and scale, and the rotation and scale of its
+parents for global points, are taken into account.
 */
 
 export
-function hitTestPoint(point, sprite) {
-
-  let shape, left, right, top, bottom, vx, vy, magnitude, hit;
+function hitTestPoint(point, sprite, global = false) {
+
+  let shape, left, right, top, bottom, hit;
+
+  //Convert the point to the sprite's own coordinates, where 0,0 is
+  //its top left corner, using its transform matrix, if it has one
+  if (sprite.localTransform) {
+    point = (global ? sprite.worldTransform : sprite.localTransform).applyInverse(point);
+
+    //A sprite that's been scaled to nothing can't be touched
+    if (!point) return false;
+    sprite = {
+      x: 0,
+      y: 0,
+      width: sprite.width,
+      height: sprite.height,
+      radius: sprite.radius,
+      centerX: sprite.halfWidth,
+      centerY: sprite.halfHeight
+    };
+  }
 
   //Find out if the sprite is rectangular or circular depending
   //on whether it has a `radius` property
@@ -75,13 +123,13 @@ function hitTestPoint(point, sprite) {
   if (shape === "circle") {
     //Find the distance between the point and the
     //center of the circle
-    vx = point.x - sprite.centerX,
-    vy = point.y - sprite.centerY,
-    magnitude = Math.sqrt(vx * vx + vy * vy);
+    let distance = vector(point.x, point.y)
+      .sub(vector(sprite.centerX, sprite.centerY))
+      .length;
 
-    //The point is intersecting the circle if the magnitude
-    //(distance) is less than the circle's radius
-    hit = magnitude < sprite.radius;
+    //The point is intersecting the circle if the distance
+    //is less than the circle's radius
+    hit = distance < sprite.radius;
   }
 
   //`hit` will be either `true` or `false`
@@ -101,34 +149,33 @@ b. A sprite object with `centerX`, `centerY` and `radius`.
 
 export
 function hitTestCircle(c1, c2, global = false) {
-  let vx, vy, magnitude, combinedRadii, hit;
-
-  //Calculate the vector between the circles’ center points
-  if (global) {
-    //Use global coordinates
-    vx = (c2.gx + c2.radius) - (c1.gx + c1.radius);
-    vy = (c2.gy + c2.radius) - (c1.gy + c1.radius);
-  } else {
-    //Use local coordinates
-    vx = c2.centerX - c1.centerX;
-    vy = c2.centerY - c1.centerY;
-  }
 
   //Find the distance between the circles by calculating
-  //the vector's magnitude (how long the vector is)
-  magnitude = Math.sqrt(vx * vx + vy * vy);
+  //the magnitude of the vector between their center points
+  let magnitude = centerVector(c1, c2, global).length;
 
   //Add together the circles' total radii
-  combinedRadii = c1.radius + c2.radius;
+  let combinedRadii = c1.radius + c2.radius;
 
-  //Set `hit` to `true` if the distance between the circles is
+  //The circles are touching if the distance between them is
   //less than their `combinedRadii`
-  hit = magnitude < combinedRadii;
-
-  //`hit` will be either `true` or `false`
-  return hit;
+  return magnitude < combinedRadii;
 };
 
+//`centerVector` returns the vector from the center of one circle to
+//the center of another
+function centerVector(c1, c2, global) {
+  if (global) {
+    //Use global coordinates
+    return vector(c2.gx + c2.radius, c2.gy + c2.radius)
+      .sub(vector(c1.gx + c1.radius, c1.gy + c1.radius));
+  } else {
+    //Use local coordinates
+    return vector(c2.centerX, c2.centerY)
+      .sub(vector(c1.centerX, c1.centerY));
+  }
+}
+
 
 /*
 circleCollision
@@ -148,28 +195,18 @@ The sprites can contain an optional mass property that should be greater than 1.
 export
 function circleCollision(c1, c2, bounce = false, global = false) {
 
-  let magnitude, combinedRadii, overlap,
-    vx, vy, dx, dy, s = {},
+  let overlap,
     hit = false;
 
   //Calculate the vector between the circles’ center points
-
-  if (global) {
-    //Use global coordinates
-    vx = (c2.gx + c2.radius) - (c1.gx + c1.radius);
-    vy = (c2.gy + c2.radius) - (c1.gy + c1.radius);
-  } else {
-    //Use local coordinates
-    vx = c2.centerX - c1.centerX;
-    vy = c2.centerY - c1.centerY;
-  }
+  let v = centerVector(c1, c2, global);
 
   //Find the distance between the circles by calculating
   //the vector's magnitude (how long the vector is)
-  magnitude = Math.sqrt(vx * vx + vy * vy);
+  let magnitude = v.length;
 
   //Add together the circles' combined half-widths
-  combinedRadii = c1.radius + c2.radius;
+  let combinedRadii = c1.radius + c2.radius;
 
   //Figure out if there's a collision
   if (magnitude < combinedRadii) {
@@ -189,27 +226,19 @@ function circleCollision(c1, c2, bounce = false, global = false) {
     let quantumPadding = 0.3;
     overlap += quantumPadding;
 
-    //Normalize the vector
-    //These numbers tell us the direction of the collision
-    dx = vx / magnitude;
-    dy = vy / magnitude;
-
+    //Normalize the vector. This tells us the direction of the collision
     //Move circle 1 out of the collision by multiplying
     //the overlap with the normalized vector and subtract it from
     //circle 1's position
-    c1.x -= overlap * dx;
-    c1.y -= overlap * dy;
+    let push = v.normalize().scale(overlap);
+    c1.x -= push.x;
+    c1.y -= push.y;
 
     //Bounce
     if (bounce) {
-      //Create a collision vector object, `s` to represent the bounce "surface".
-      //Find the bounce surface's x and y properties
-      //(This represents the normal of the distance vector between the circles)
-      s.x = vy;
-      s.y = -vx;
-
-      //Bounce c1 off the surface
-      bounceOffSurface(c1, s);
+      //The bounce "surface" is the normal of the distance vector
+      //between the circles. Bounce c1 off it
+      bounceOffSurface(c1, v.leftNormal);
     }
   }
   return hit;
@@ -232,58 +261,45 @@ The sprites can contain an optional mass property that should be greater than 1.
 export
 function movingCircleCollision(c1, c2, global = false) {
 
-  let combinedRadii, overlap, xSide, ySide,
-    //`s` refers to the distance vector between the circles
-    s = {},
-    p1A = {},
-    p1B = {},
-    p2A = {},
-    p2B = {},
+  let overlap, xSide, ySide,
     hit = false;
 
   //Apply mass, if the circles have mass properties
   c1.mass = c1.mass || 1;
   c2.mass = c2.mass || 1;
 
-  //Calculate the vector between the circles’ center points
-  if (global) {
-    //Use global coordinates
-    s.vx = (c2.gx + c2.radius) - (c1.gx + c1.radius);
-    s.vy = (c2.gy + c2.radius) - (c1.gy + c1.radius);
-  } else {
-    //Use local coordinates
-    s.vx = c2.centerX - c1.centerX;
-    s.vy = c2.centerY - c1.centerY;
-  }
+  //Calculate the vector between the circles’ center points.
+  //`s` refers to the distance vector between the circles
+  let s = centerVector(c1, c2, global);
 
   //Find the distance between the circles by calculating
   //the vector's magnitude (how long the vector is)
-  s.magnitude = Math.sqrt(s.vx * s.vx + s.vy * s.vy);
+  let magnitude = s.length;
 
   //Add together the circles' combined half-widths
-  combinedRadii = c1.radius + c2.radius;
+  let combinedRadii = c1.radius + c2.radius;
 
   //Figure out if there's a collision
-  if (s.magnitude < combinedRadii) {
+  if (magnitude < combinedRadii) {
 
     //Yes, a collision is happening
     hit = true;
 
     //Find the amount of overlap between the circles
-    overlap = combinedRadii - s.magnitude;
+    overlap = combinedRadii - magnitude;
 
     //Add some "quantum padding" to the overlap
     overlap += 0.3;
 
     //Normalize the vector.
-    //These numbers tell us the direction of the collision
-    s.dx = s.vx / s.magnitude;
-    s.dy = s.vy / s.magnitude;
+    //This tells us the direction of the collision
+    let direction = s.normalize();
 
     //Find the collision vector.
     //Divide it in half to share between the circles, and make it absolute
-    s.vxHalf = Math.abs(s.dx * overlap / 2);
-    s.vyHalf = Math.abs(s.dy * overlap / 2);
+    let half = direction.scale(overlap / 2),
+        xHalf = Math.abs(half.x),
+        yHalf = Math.abs(half.y);
 
     //Find the side that the collision is occurring on
     (c1.x > c2.x) ? xSide = 1 : xSide = -1;
@@ -292,64 +308,45 @@ function movingCircleCollision(c1, c2, global = false) {
     //Move c1 out of the collision by multiplying
     //the overlap with the normalized vector and adding it to
     //the circles' positions
-    c1.x = c1.x + (s.vxHalf * xSide);
-    c1.y = c1.y + (s.vyHalf * ySide);
+    c1.x = c1.x + (xHalf * xSide);
+    c1.y = c1.y + (yHalf * ySide);
 
     //Move c2 out of the collision
-    c2.x = c2.x + (s.vxHalf * -xSide);
-    c2.y = c2.y + (s.vyHalf * -ySide);
+    c2.x = c2.x + (xHalf * -xSide);
+    c2.y = c2.y + (yHalf * -ySide);
 
     //1. Calculate the collision surface's properties
 
-    //Find the surface vector's left normal
-    s.lx = s.vy;
-    s.ly = -s.vx;
+    //Find the unit vector of the surface's left normal
+    let normal = s.leftNormal.normalize(),
+        v1 = vector(c1.vx, c1.vy),
+        v2 = vector(c2.vx, c2.vy);
 
     //2. Bounce c1 off the surface (s)
 
-    //Find the dot product between c1 and the surface
-    let dp1 = c1.vx * s.dx + c1.vy * s.dy;
-
     //Project c1's velocity onto the collision surface
-    p1A.x = dp1 * s.dx;
-    p1A.y = dp1 * s.dy;
-
-    //Find the dot product of c1 and the surface's left normal (s.lx and s.ly)
-    let dp2 = c1.vx * (s.lx / s.magnitude) + c1.vy * (s.ly / s.magnitude);
+    let p1A = v1.project(direction);
 
     //Project the c1's velocity onto the surface's left normal
-    p1B.x = dp2 * (s.lx / s.magnitude);
-    p1B.y = dp2 * (s.ly / s.magnitude);
+    let p1B = v1.project(normal);
 
     //3. Bounce c2 off the surface (s)
 
-    //Find the dot product between c2 and the surface
-    let dp3 = c2.vx * s.dx + c2.vy * s.dy;
-
     //Project c2's velocity onto the collision surface
-    p2A.x = dp3 * s.dx;
-    p2A.y = dp3 * s.dy;
-
-    //Find the dot product of c2 and the surface's left normal (s.lx and s.ly)
-    let dp4 = c2.vx * (s.lx / s.magnitude) + c2.vy * (s.ly / s.magnitude);
+    let p2A = v2.project(direction);
 
     //Project c2's velocity onto the surface's left normal
-    p2B.x = dp4 * (s.lx / s.magnitude);
-    p2B.y = dp4 * (s.ly / s.magnitude);
+    let p2B = v2.project(normal);
 
     //4. Calculate the bounce vectors
 
     //Bounce c1
     //using p1B and p2A
-    c1.bounce = {};
-    c1.bounce.x = p1B.x + p2A.x;
-    c1.bounce.y = p1B.y + p2A.y;
+    c1.bounce = p1B.add(p2A);
 
     //Bounce c2
     //using p1A and p2B
-    c2.bounce = {};
-    c2.bounce.x = p1A.x + p2B.x;
-    c2.bounce.y = p1A.y + p2B.y;
+    c2.bounce = p1A.add(p2B);
 
     //Add the bounce vector to the circles' velocity
     //and add mass if the circle has a mass property
@@ -563,6 +560,81 @@ function rectangleCollision(
   return collision;
 }
 
+/*
+hitTestOrientedRectangle
+------------------------
+
+Use it to find out if two rectangular sprites are touching, taking
+their `rotation` into account. (`hitTestRectangle` treats all rectangles
+as though they're axis-aligned.)
+Parameters:
+a. A sprite object with `x`, `y`, `width`, `height`, `rotation`, `pivotX` and `pivotY` properties.
+b. A sprite object with `x`, `y`, `width`, `height`, `rotation`, `pivotX` and `pivotY` properties.
+
+*/
+
+export
+function hitTestOrientedRectangle(r1, r2, global = false) {
+
+  //Rotated rectangles are convex polygons, so use the Separating
+  //Axis Theorem to find out if they're touching
+  return hitTestPolygon(r1, r2, global) !== false;
+}
+
+/*
+orientedRectangleCollision
+--------------------------
+
+Use it to prevent two rotated rectangular sprites from overlapping.
+Optionally, make the first rectangle bounce off the second rectangle.
+Parameters:
+a. A sprite object with `x`, `y`, `width`, `height`, `rotation`, `pivotX` and `pivotY` properties.
+b. A sprite object with `x`, `y`, `width`, `height`, `rotation`, `pivotX` and `pivotY` properties.
+c. Optional: true or false to indicate whether or not the first sprite
+should bounce off the second sprite.
+Like `rectangleCollision`, it returns "top", "right", "bottom" or "left"
+depending on which side of r1 is touching r2. The sides are relative
+to r1's own rotation, so "bottom" is always r1's bottom edge.
+*/
+
+export
+function orientedRectangleCollision(
+  r1, r2, bounce = false, global = true
+) {
+
+  let collision, mtv;
+
+  //Move r1 out of the collision and find the collision normal.
+  //(The normal points in the direction that r1 was moved)
+  mtv = polygonCollision(r1, r2, bounce, global);
+
+  //Find out which of r1's sides is touching r2
+  if (mtv) collision = collisionSide(r1, mtv.normal);
+
+  //Return the collision string
+  return collision;
+}
+
+//`collisionSide` tells you which side of a sprite was hit, from the
+//collision normal that points in the direction the sprite is pushed
+//out of the collision. The side is relative to the sprite's rotation
+function collisionSide(sprite, normal) {
+  let cos = Math.cos(-sprite.rotation),
+      sin = Math.sin(-sprite.rotation),
+
+      //Rotate the normal into the sprite's local coordinates
+      normalX = normal.x * cos - normal.y * sin,
+      normalY = normal.x * sin + normal.y * cos;
+
+  //If the sprite was pushed down it was hit on its top side, if it
+  //was pushed right it was hit on its left side, and so on
+  if (Math.abs(normalY) >= Math.abs(normalX)) {
+    return normalY > 0 ? "top" : "bottom";
+  } else {
+    return normalX > 0 ? "left" : "right";
+  }
+}
+
 /*
 hitTestCircleRectangle
 ----------------
@@ -846,6 +918,496 @@ function circlePointCollision(c1, point, bounce = false, global = false) {
   point.gy = point.y;
   return circleCollision(c1, point, bounce, global);
 }
+
+/*
+hitTestPolygon
+--------------
+
+Use it to find out if two convex shapes are touching, using the
+Separating Axis Theorem. The shapes can be polygon sprites (sprites with
+a `points` array), rectangular sprites, circular sprites or points.
+Polygon and rectangle sprites are tested with their `rotation` and
+`scaleX`/`scaleY` taken into account.
+Parameters:
+a. A polygon, rectangle or circle sprite, or a point object.
+b. A polygon, rectangle or circle sprite, or a point object.
+c. Optional: true or false to use global coordinates.
+If the shapes are touching, the function returns a minimum translation
+vector: an object with `x`, `y`, `overlap` and `normal` properties.
+`x` and `y` are the smallest distance that the first shape has to move
+to separate from the second shape, `overlap` is the length of that
+distance and `normal` is the unit vector that points in that direction.
+If the shapes aren't touching, the function returns `false`.
+*/
+
+export
+function hitTestPolygon(s1, s2, global = false) {
+  let a = satShape(s1, global),
+      b = satShape(s2, global),
+      axes = satAxes(a, b).concat(satAxes(b, a)),
+      smallestOverlap = Infinity,
+      mtv;
+
+  //If both shapes are single points or circles at the same position
+  //there's no axis to test, so push the first shape along the x axis
+  if (axes.length === 0) axes.push({x: 1, y: 0});
+
+  //Project both shapes onto each axis. If there's a gap on any
+  //of them, the shapes aren't touching
+  for (let i = 0; i < axes.length; i++) {
+    let axis = axes[i],
+        p1 = project(a, axis),
+        p2 = project(b, axis);
+
+    //Is there a gap? (Tiny overlaps caused by rounding errors,
+    //like those left after the shapes have been separated, don't count)
+    if (p1.max - p2.min <= 1e-9 || p2.max - p1.min <= 1e-9) return false;
+
+    //Find out how far the first shape would have to move backwards
+    //or forwards along this axis to separate from the second shape
+    let backwards = p1.max - p2.min,
+        forwards = p2.max - p1.min,
+        overlap = Math.min(backwards, forwards);
+
+    //Keep track of the axis with the smallest overlap
+    if (overlap < smallestOverlap) {
+      smallestOverlap = overlap;
+      let direction = backwards < forwards ? -1 : 1;
+      mtv = {
+        normal: {x: axis.x * direction, y: axis.y * direction}
+      };
+    }
+  }
+
+  //Return the minimum translation vector
+  mtv.overlap = smallestOverlap;
+  mtv.x = mtv.normal.x * smallestOverlap;
+  mtv.y = mtv.normal.y * smallestOverlap;
+  return mtv;
+}
+
+/*
+polygonCollision
+----------------
+
+Use it to prevent a shape from overlapping another shape, and
+optionally bounce it off the other shape. Like `hitTestPolygon`, it
+works with any combination of polygon, rectangle and circle sprites.
+Parameters:
+a. A polygon, rectangle or circle sprite.
+b. A polygon, rectangle or circle sprite.
+c. Optional: true or false to indicate whether or not the first sprite
+should bounce off the second sprite.
+d. Optional: true or false to use global coordinates.
+The first sprite is moved out of the collision and the function
+returns the minimum translation vector that was used to move it,
+or `false` if there was no collision.
+*/
+
+export
+function polygonCollision(s1, s2, bounce = false, global = false) {
+
+  //Find the minimum translation vector
+  let mtv = hitTestPolygon(s1, s2, global);
+
+  if (mtv) {
+
+    //Move the first sprite out of the collision
+    s1.x += mtv.x;
+    s1.y += mtv.y;
+
+    //Bounce the sprite off the collision surface, which runs at
+    //right angles to the collision normal. Only bounce it if it's
+    //moving towards the surface
+    if (bounce && s1.vx * mtv.normal.x + s1.vy * mtv.normal.y < 0) {
+      let s = {
+        x: -mtv.normal.y,
+        y: mtv.normal.x
+      };
+      bounceOffSurface(s1, s);
+    }
+  }
+
+  //Return the minimum translation vector
+  return mtv;
+}
+
+/*
+hitTestShapes
+-------------
+
+Works just like `hitTestPolygon`, and returns the same minimum
+translation vector object, or `false`. But circles, and rectangles that
+aren't rotated or scaled, are tested with faster circle and rectangle
+tests instead of the Separating Axis Theorem. Polygons and rotated or
+scaled sprites use `hitTestPolygon`. It's used by the physics world, which
+tests lots of sprites every frame.
+Parameters:
+a. A polygon, rectangle or circle sprite.
+b. A polygon, rectangle or circle sprite.
+c. Optional: true or false to use global coordinates.
+*/
+
+export
+function hitTestShapes(s1, s2, global = false) {
+  let a = axisAlignedShape(s1, global),
+      b = axisAlignedShape(s2, global);
+  if (!a || !b) return hitTestPolygon(s1, s2, global);
+
+  //Circles
+  if (a.radius !== undefined && b.radius !== undefined) {
+    return circleOverlap(a, b);
+  }
+
+  //A circle and a rectangle. If the rectangle is first, test it the
+  //other way around and reverse the normal
+  if (a.radius !== undefined) return circleRectangleOverlap(a, b);
+  if (b.radius !== undefined) {
+    let mtv = circleRectangleOverlap(b, a);
+    return mtv && makeMtv(-mtv.normal.x, -mtv.normal.y, mtv.overlap);
+  }
+
+  //Rectangles
+  let vx = (a.x + a.width / 2) - (b.x + b.width / 2),
+      vy = (a.y + a.height / 2) - (b.y + b.height / 2),
+      overlapX = (a.width + b.width) / 2 - Math.abs(vx),
+      overlapY = (a.height + b.height) / 2 - Math.abs(vy);
+  if (overlapX <= 1e-9 || overlapY <= 1e-9) return false;
+  if (overlapX < overlapY) return makeMtv(vx < 0 ? -1 : 1, 0, overlapX);
+  return makeMtv(0, vy < 0 ? -1 : 1, overlapY);
+}
+
+//`axisAlignedShape` describes a circle, or a rectangle that isn't
+//rotated or scaled, by its position and size. It returns `undefined`
+//for any other sprite
+function axisAlignedShape(o, global) {
+  if (o.points || isLine(o) || isPoint(o)) return undefined;
+  let m = global ? o.worldTransform : o.localTransform;
+  if (m.a !== 1 || m.b !== 0 || m.c !== 0 || m.d !== 1) return undefined;
+  if (o.diameter) {
+    return {x: m.tx + o.radius, y: m.ty + o.radius, radius: o.radius};
+  }
+  return {x: m.tx, y: m.ty, width: o.width, height: o.height};
+}
+
+//`circleOverlap` finds the minimum translation vector for two circles
+function circleOverlap(a, b) {
+  let v = vector(a.x, a.y).sub(b),
+      distance = v.length,
+      overlap = a.radius + b.radius - distance;
+  if (overlap <= 1e-9) return false;
+
+  //Circles at the same position are pushed apart along the x axis
+  if (distance === 0) return makeMtv(1, 0, overlap);
+  let normal = v.normalize();
+  return makeMtv(normal.x, normal.y, overlap);
+}
+
+//`circleRectangleOverlap` finds the minimum translation vector for a
+//circle and a rectangle
+function circleRectangleOverlap(c, r) {
+
+  //Find the point on the rectangle that's closest to the circle's center
+  let closest = vector(
+        Math.max(r.x, Math.min(c.x, r.x + r.width)),
+        Math.max(r.y, Math.min(c.y, r.y + r.height))
+      ),
+      v = vector(c.x, c.y).sub(closest),
+      distance = v.length;
+
+  //Is the center outside the rectangle?
+  if (distance > 0) {
+    let overlap = c.radius - distance,
+        normal = v.normalize();
+    if (overlap <= 1e-9) return false;
+    return makeMtv(normal.x, normal.y, overlap);
+  }
+
+  //The center is inside the rectangle, so push the circle out
+  //through the closest side
+  let sides = [
+    {x: -1, y: 0, distance: c.x - r.x},
+    {x: 1, y: 0, distance: r.x + r.width - c.x},
+    {x: 0, y: -1, distance: c.y - r.y},
+    {x: 0, y: 1, distance: r.y + r.height - c.y}
+  ];
+  let side = sides.reduce((closest, side) => {
+    return side.distance < closest.distance ? side : closest;
+  });
+  return makeMtv(side.x, side.y, side.distance + c.radius);
+}
+
+//`makeMtv` makes a minimum translation vector object
+function makeMtv(normalX, normalY, overlap) {
+  return {
+    normal: {x: normalX, y: normalY},
+    overlap: overlap,
+    x: normalX * overlap,
+    y: normalY * overlap
+  };
+}
+
+/*
+hitTestLine
+-----------
+
+Use it to find out if a sprite is touching a line sprite (a sprite with
+`ax`, `ay`, `bx` and `by` properties, made with the `line` function).
+The sprite can be a circle, rectangle or polygon.
+Parameters:
+a. A circle, rectangle or polygon sprite.
+b. A line sprite.
+c. Optional: true or false to use global coordinates.
+Like `hitTestPolygon`, it returns a minimum translation vector object
+if the sprite is touching the line, or `false` if it isn't.
+*/
+
+export
+function hitTestLine(sprite, line, global = false) {
+
+  //A line is a polygon with two points, so we can use the
+  //Separating Axis Theorem to test it
+  return hitTestPolygon(sprite, line, global);
+}
+
+/*
+lineCollision
+-------------
+
+Use it to prevent a sprite from crossing a line sprite, and optionally
+bounce it off the line. Lines have two sides, so the sprite is
+pushed back out on the side that it came from. That's found from its
+previous position (if it has `previousX` and `previousY` properties that
+are different from its `x` and `y`), or from its `vx` and `vy` (the
+sprite is assumed to have just moved by its velocity). If a fast sprite's
+center has crossed the line completely in one frame, it's still pushed
+back, so it can't tunnel through the line. A sprite that isn't moving
+is pushed out on whichever side of the line it's closest to.
+Parameters:
+a. A circle, rectangle or polygon sprite.
+b. A line sprite.
+c. Optional: true or false to indicate whether or not the sprite
+should bounce off the line.
+d. Optional: true or false to use global coordinates.
+The function returns the minimum translation vector that was used to
+move the sprite, or `false` if there was no collision.
+*/
+
+export
+function lineCollision(sprite, line, bounce = false, global = false) {
+  let mtv = hitTestPolygon(sprite, line, global),
+      side = lineSide(sprite, line, global);
+
+  //If the sprite has crossed the line, or the minimum translation
+  //vector would push it out on the wrong side, push it back to the
+  //side that it came from
+  if (side && (side.crossed || mtv && side.normal.dot(mtv.normal) < 0)) {
+    mtv = pushToSide(satShape(sprite, global), side);
+  }
+
+  if (mtv) {
+
+    //Move the sprite out of the collision
+    sprite.x += mtv.x;
+    sprite.y += mtv.y;
+
+    //Bounce the sprite off the line if it's moving towards it
+    if (bounce && sprite.vx * mtv.normal.x + sprite.vy * mtv.normal.y < 0) {
+      bounceOffSurface(sprite, {x: -mtv.normal.y, y: mtv.normal.x});
+    }
+  }
+
+  return mtv;
+}
+
+//`lineSide` finds the side of a line that a sprite's center was on
+//before it moved. It returns the line's unit `normal` that points to
+//that side, the position of the line along the normal (`distance`), and
+//whether the sprite's center has `crossed` the line since then. It
+//returns `undefined` if the sprite's center was right on the line
+function lineSide(sprite, line, global) {
+  let path = sweepPath(sprite, global),
+      center = shapeCenter(satShape(sprite, global)),
+      before = {x: center.x - path.dx, y: center.y - path.dy},
+      [a, b] = satShape(line, global).vertices,
+      normal = vector(b.x - a.x, b.y - a.y).rightNormal.normalize(),
+      distance = normal.dot(a),
+      sideBefore = normal.dot(before) - distance;
+
+  if (sideBefore === 0 || normal.length === 0) return undefined;
+
+  //Make the normal point to the side that the sprite was on
+  if (sideBefore < 0) {
+    normal = normal.scale(-1);
+    distance = -distance;
+  }
+
+  return {
+    normal: normal,
+    distance: distance,
+    crossed: normal.dot(center) < distance && segmentIntersection(
+      {ax: before.x, ay: before.y, bx: center.x, by: center.y},
+      {ax: a.x, ay: a.y, bx: b.x, by: b.y}
+    ) !== undefined
+  };
+}
+
+//`pushToSide` returns the minimum translation vector that moves a shape
+//along a line's normal until it's completely on that side of the line
+function pushToSide(shape, side) {
+  let overlap = side.distance - project(shape, side.normal).min;
+  if (overlap <= 0) return false;
+  return {
+    normal: {x: side.normal.x, y: side.normal.y},
+    overlap: overlap,
+    x: side.normal.x * overlap,
+    y: side.normal.y * overlap
+  };
+}
+
+//`shapeCenter` finds the center of a shape made by `satShape`
+function shapeCenter(shape) {
+  if (shape.center) return shape.center;
+  let x = 0, y = 0;
+  shape.vertices.forEach(vertex => {
+    x += vertex.x;
+    y += vertex.y;
+  });
+  return {x: x / shape.vertices.length, y: y / shape.vertices.length};
+}
+
+/*
+lineIntersection
+----------------
+
+Find the point where two line sprites cross.
+Parameters:
+a. A line sprite.
+b. A line sprite.
+c. Optional: true or false to use global coordinates.
+If the lines cross, the function returns a vector with the point's `x`
+and `y` position, as well as `t` and `u` properties that tell you how far
+along each line the point is (as numbers between 0 and 1).
+Otherwise it returns `undefined`.
+*/
+
+export
+function lineIntersection(line1, line2, global = false) {
+  let l1 = satShape(line1, global).vertices,
+      l2 = satShape(line2, global).vertices;
+  return segmentIntersection(
+    {ax: l1[0].x, ay: l1[0].y, bx: l1[1].x, by: l1[1].y},
+    {ax: l2[0].x, ay: l2[0].y, bx: l2[1].x, by: l2[1].y}
+  );
+}
+
+//`satShape` describes a sprite or point as either a circle, with a
+//center and radius, or as a list of vertices
+function satShape(o, global) {
+
+  //Points
+  if (isPoint(o)) {
+    return {vertices: [{x: o.x, y: o.y}]};
+  }
+
+  //The matrix that converts points inside the sprite to its
+  //parent's coordinates, or to global coordinates. It rotates and scales
+  //the points around the sprite's pivot point, the same way that
+  //the renderer does
+  let transform = global ? o.worldTransform : o.localTransform;
+
+  //Circles
+  if (o.diameter) {
+    return {
+      center: transform.apply({x: o.radius, y: o.radius}),
+      radius: o.radius
+    };
+  }
+
+  //Polygons, lines and rectangles. (Lines have no `width` or
+  //`height`, so they're rotated around their `x` and `y` position,
+  //just as they're rendered)
+  let points = o.points;
+  if (!points && isLine(o)) {
+    points = [{x: o.ax, y: o.ay}, {x: o.bx, y: o.by}];
+  } else if (!points) {
+    points = [
+      {x: 0, y: 0},
+      {x: o.width, y: 0},
+      {x: o.width, y: o.height},
+      {x: 0, y: o.height}
+    ];
+  }
+
+  return {
+    vertices: points.map(point => transform.apply(point))
+  };
+}
+
+//`isLine` tells you whether a sprite is a line sprite
+function isLine(o) {
+  return o.ax !== undefined && o.bx !== undefined;
+}
+
+//`isPoint` tells you whether an object is a point, like `{x: 10, y: 20}`,
+//instead of a shape. Points don't have a size, a radius, polygon
+//points or line ends. (Sprites that aren't on the stage yet, and so
+//don't have a `parent`, are still shapes)
+function isPoint(o) {
+  return o.width === undefined && o.height === undefined
+    && o.radius === undefined && o.points === undefined && !isLine(o);
+}
+
+//`satAxes` returns the unit vector axes that need to be tested for
+//shape `a`. For polygons, those are the normals of its edges. For
+//circles, it's the axis between the circle's center and the closest
+//vertex or center of the other shape, `b`
+function satAxes(a, b) {
+  let axes = [];
+
+  //Circles
+  if (a.center) {
+    let targets = b.center ? [b.center] : b.vertices,
+        closest, smallestDistance = Infinity;
+    targets.forEach(target => {
+      let distance = Math.pow(target.x - a.center.x, 2) + Math.pow(target.y - a.center.y, 2);
+      if (distance < smallestDistance) {
+        smallestDistance = distance;
+        closest = target;
+      }
+    });
+    let axis = vector(closest.x, closest.y).sub(a.center).normalize();
+    if (axis.length > 0) axes.push(axis);
+  }
+
+  //Polygons
+  else if (a.vertices.length > 1) {
+    a.vertices.forEach((vertex, i) => {
+      let next = a.vertices[(i + 1) % a.vertices.length],
+          axis = vector(next.x, next.y).sub(vertex).rightNormal.normalize();
+      if (axis.length > 0) axes.push(axis);
+    });
+  }
+  return axes;
+}
+
+//`project` projects a shape onto an axis and returns the
+//`min` and `max` values of its shadow
+function project(shape, axis) {
+  if (shape.center) {
+    let center = axis.dot(shape.center);
+    return {min: center - shape.radius, max: center + shape.radius};
+  }
+  let min = Infinity,
+      max = -Infinity;
+  shape.vertices.forEach(vertex => {
+    let dotProduct = axis.dot(vertex);
+    if (dotProduct < min) min = dotProduct;
+    if (dotProduct > max) max = dotProduct;
+  });
+  return {min, max};
+}
+
 /*
 bounceOffSurface
 ----------------
@@ -861,95 +1423,1055 @@ be used to dampen the bounce effect.
 */
 
 function bounceOffSurface(o, s) {
-  let dp1, dp2,
-    p1 = {},
-    p2 = {},
-    bounce = {},
-    mass = o.mass || 1;
+  let mass = o.mass || 1,
+    velocity = vector(o.vx, o.vy);
 
-  //1. Calculate the collision surface's properties
-  //Find the surface vector's left normal
-  s.lx = s.y;
-  s.ly = -s.x;
+  //1. Find the unit vector of the surface's left normal
+  let normal = vector(s.x, s.y).leftNormal.normalize();
 
-  //Find its magnitude
-  s.magnitude = Math.sqrt(s.x * s.x + s.y * s.y);
+  //2. Bounce the object (o) off the surface (s). Reflecting its
+  //velocity keeps the part that runs along the surface and reverses
+  //the part that runs along the normal
+  let bounce = velocity.reflect(normal);
 
-  //Find its normalized values
-  s.dx = s.x / s.magnitude;
-  s.dy = s.y / s.magnitude;
+  //Assign the bounce vector to the object's velocity
+  //with optional mass to dampen the effect
+  o.vx = bounce.x / mass;
+  o.vy = bounce.y / mass;
+}
 
-  //2. Bounce the object (o) off the surface (s)
+/*
+hitTestSweptRectangle
+---------------------
 
-  //Find the dot product between the object and the surface
-  dp1 = o.vx * s.dx + o.vy * s.dy;
+Use it to find out if a fast-moving rectangular sprite will hit, or
+has passed through, another rectangular sprite. Ordinary collision tests
+only check whether sprites overlap at their current positions, so a
+sprite that moves further than the size of the thing it's colliding
+with in a single frame can "tunnel" right through it. A swept test
+checks the whole path that the sprite moves along in one frame.
+
+The path is found like this: If the sprite has `previousX` and `previousY`
+properties that are different from its `x` and `y` (because it's being
+used with `capturePreviousPositions`), the path is the movement from
+the previous position to the current position. Otherwise, the sprite is
+assumed to have just been moved by its `vx` and `vy`, so the path is the
+movement from where it was before that to its current position. (So
+test the sprites after you've moved them in the game loop.) If the second
+sprite is moving as well, the test uses the sprites' relative motion.
+
+The rectangles are treated as axis-aligned bounding boxes.
+Parameters:
+a. A sprite object with `x`, `y`, `width`, `height`, `vx` and `vy` properties.
+b. A sprite object with `x`, `y`, `width`, `height`, `vx` and `vy` properties.
+If the first sprite hits the second sprite along its path, the
+function returns an object with these properties:
+- `time`: A number between 0 and 1 that tells you how far along the
+  path the sprite was when they first touched.
+- `normal`: An object with `x` and `y` properties. It's the surface
+  normal of the second sprite at the point of contact.
+- `x` and `y`: The position of the first sprite at the point of contact.
+Otherwise, it returns `false`. It also returns `false` if the sprites are
+already overlapping at the start of the path, so use `hitTestRectangle` to
+check for that.
+*/
 
-  //Project the object's velocity onto the collision surface
-  p1.vx = dp1 * s.dx;
-  p1.vy = dp1 * s.dy;
+export
+function hitTestSweptRectangle(r1, r2, global = false) {
+  return sweep(r1, r2, global);
+}
 
-  //Find the dot product of the object and the surface's left normal (s.lx and s.ly)
-  dp2 = o.vx * (s.lx / s.magnitude) + o.vy * (s.ly / s.magnitude);
+/*
+hitTestSweptCircle
+------------------
 
-  //Project the object's velocity onto the surface's left normal
-  p2.vx = dp2 * (s.lx / s.magnitude);
-  p2.vy = dp2 * (s.ly / s.magnitude);
+A swept collision test for a fast-moving circular sprite. The second
+sprite can be a circle or a rectangle. It works just like
+`hitTestSweptRectangle` and returns the same time-of-impact object, or `false`.
+Parameters:
+a. A sprite object with `x`, `y`, `radius`, `vx` and `vy` properties.
+b. A circular or rectangular sprite.
+*/
 
-  //Reverse the projection on the surface's left normal
-  p2.vx *= -1;
-  p2.vy *= -1;
+export
+function hitTestSweptCircle(c1, s2, global = false) {
+  return sweep(c1, s2, global);
+}
 
-  //Add up the projections to create a new bounce vector
-  bounce.x = p1.vx + p2.vx;
-  bounce.y = p1.vy + p2.vy;
+/*
+sweptCollision
+--------------
+
+Use it to prevent a fast-moving sprite from tunneling through another
+sprite. If the first sprite hits the second sprite along its path,
+it's moved back to the point of contact. Its velocity is then either
+reflected off the surface that it hit, if `bounce` is `true`, or its
+velocity into the surface is removed so that it slides along it.
+The sprites can be any combination of circles and rectangles.
+Parameters:
+a. A circular or rectangular sprite.
+b. A circular or rectangular sprite.
+c. Optional: true or false to indicate whether or not the first sprite
+should bounce off the second sprite.
+d. Optional: true or false to use global coordinates.
+The function returns the time-of-impact object, or `false` if there
+was no collision.
+*/
 
-  //Assign the bounce vector to the object's velocity
-  //with optional mass to dampen the effect
-  o.vx = bounce.x / mass;
-  o.vy = bounce.y / mass;
+export
+function sweptCollision(s1, s2, bounce = false, global = false) {
+  let collision = sweep(s1, s2, global);
+
+  if (collision) {
+
+    //Move the sprite to the point of contact
+    s1.x = collision.x;
+    s1.y = collision.y;
+
+    //Is the sprite moving into the surface?
+    let normal = collision.normal,
+        dotProduct = s1.vx * normal.x + s1.vy * normal.y;
+
+    if (dotProduct < 0) {
+      if (bounce) {
+        //Bounce the sprite off the collision surface, which runs at
+        //right angles to the collision normal
+        bounceOffSurface(s1, {x: -normal.y, y: normal.x});
+      } else {
+        //Remove the part of the velocity that's moving into
+        //the surface so that the sprite slides along it
+        s1.vx -= dotProduct * normal.x;
+        s1.vy -= dotProduct * normal.y;
+      }
+    }
+  }
+
+  return collision;
+}
+
+//`sweep` does the work for the swept collision tests. It traces the
+//center of the first shape along its path, relative to the second
+//shape, against the second shape after it's been expanded by the size
+//of the first shape
+function sweep(s1, s2, global) {
+  let p1 = sweepPath(s1, global),
+      p2 = sweepPath(s2, global),
+      dx = p1.dx - p2.dx,
+      dy = p1.dy - p2.dy,
+      hit;
+
+  //Circle vs. circle
+  if (s1.diameter && s2.diameter) {
+    hit = rayVsCircle(
+      p1.x + s1.radius, p1.y + s1.radius, dx, dy,
+      p2.x + s2.radius, p2.y + s2.radius, s1.radius + s2.radius
+    );
+  }
+
+  //Circle vs. rectangle
+  else if (s1.diameter) {
+    hit = rayVsRoundedBox(
+      p1.x + s1.radius, p1.y + s1.radius, dx, dy,
+      p2.x, p2.y, p2.x + s2.width, p2.y + s2.height, s1.radius
+    );
+  }
+
+  //Rectangle vs. circle. Trace the circle's path against the
+  //rectangle and then reverse the normal
+  else if (s2.diameter) {
+    hit = rayVsRoundedBox(
+      p2.x + s2.radius, p2.y + s2.radius, -dx, -dy,
+      p1.x, p1.y, p1.x + s1.width, p1.y + s1.height, s2.radius
+    );
+    if (hit) {
+      hit.nx = -hit.nx;
+      hit.ny = -hit.ny;
+    }
+  }
+
+  //Rectangle vs. rectangle
+  else {
+    hit = rayVsBox(
+      p1.x + s1.halfWidth, p1.y + s1.halfHeight, dx, dy,
+      p2.x - s1.halfWidth, p2.y - s1.halfHeight,
+      p2.x + s2.width + s1.halfWidth, p2.y + s2.height + s1.halfHeight
+    );
+  }
+
+  if (!hit) return false;
+
+  return {
+    time: hit.time,
+    normal: {x: hit.nx, y: hit.ny},
+    x: p1.localX + p1.dx * hit.time,
+    y: p1.localY + p1.dy * hit.time
+  };
+}
+
+//`sweepPath` finds the position at the start of the sprite's path,
+//in both local and global (if `global` is `true`) coordinates, and
+//the distance it moves. The path ends at the sprite's current position
+function sweepPath(o, global) {
+  let dx = o.vx || 0,
+      dy = o.vy || 0,
+      x = o.x - dx,
+      y = o.y - dy;
+
+  //If the sprite has already moved from its previous position, the
+  //path starts at the previous position
+  if (
+    o.previousX !== undefined && o.previousY !== undefined
+    && (o.previousX !== o.x || o.previousY !== o.y)
+  ) {
+    dx = o.x - o.previousX;
+    dy = o.y - o.previousY;
+    x = o.previousX;
+    y = o.previousY;
+  }
+
+  return {
+    localX: x,
+    localY: y,
+    x: global ? x + (o.gx - o.x) : x,
+    y: global ? y + (o.gy - o.y) : y,
+    dx: dx,
+    dy: dy
+  };
+}
+
+//`rayVsBox` finds the time that a point moving from `ox`,`oy` by `dx`,`dy`
+//enters a box, using the "slab" method
+function rayVsBox(ox, oy, dx, dy, left, top, right, bottom) {
+  let near = -Infinity, far = Infinity, nx = 0, ny = 0;
+
+  //The x axis slab
+  if (dx === 0) {
+    if (ox <= left || ox >= right) return undefined;
+  } else {
+    let t1 = (left - ox) / dx,
+        t2 = (right - ox) / dx;
+    if (Math.min(t1, t2) > near) {
+      near = Math.min(t1, t2);
+      nx = dx > 0 ? -1 : 1;
+    }
+    far = Math.min(far, Math.max(t1, t2));
+  }
+
+  //The y axis slab
+  if (dy === 0) {
+    if (oy <= top || oy >= bottom) return undefined;
+  } else {
+    let t1 = (top - oy) / dy,
+        t2 = (bottom - oy) / dy;
+    if (Math.min(t1, t2) > near) {
+      near = Math.min(t1, t2);
+      nx = 0;
+      ny = dy > 0 ? -1 : 1;
+    }
+    far = Math.min(far, Math.max(t1, t2));
+  }
+
+  //The point misses the box if it leaves one slab before it enters the
+  //other, if it starts inside the box, or if it doesn't reach the box
+  //by the end of the path
+  if (near >= far || near < 0 || near > 1) return undefined;
+
+  return {time: near, nx: nx, ny: ny};
+}
+
+//`rayVsCircle` finds the time that a point moving from `ox`,`oy` by
+//`dx`,`dy` enters a circle
+function rayVsCircle(ox, oy, dx, dy, cx, cy, radius) {
+  let fx = ox - cx,
+      fy = oy - cy,
+      a = dx * dx + dy * dy,
+      b = 2 * (fx * dx + fy * dy),
+      c = fx * fx + fy * fy - radius * radius,
+      discriminant = b * b - 4 * a * c;
+
+  //The point misses the circle if it starts inside it, isn't moving,
+  //or its path doesn't cross the circle
+  if (c <= 0 || a === 0 || discriminant < 0) return undefined;
+
+  let time = (-b - Math.sqrt(discriminant)) / (2 * a);
+  if (time < 0 || time > 1) return undefined;
+
+  return {
+    time: time,
+    nx: (fx + dx * time) / radius,
+    ny: (fy + dy * time) / radius
+  };
+}
+
+//`rayVsRoundedBox` finds the time that a point enters a box that's
+//been expanded by `radius` on all sides, with rounded corners. That's
+//the shape that the center of a circle traces as it slides around the box
+function rayVsRoundedBox(ox, oy, dx, dy, left, top, right, bottom, radius) {
+
+  //First test the point against the expanded box with square corners
+  let hit = rayVsBox(
+    ox, oy, dx, dy,
+    left - radius, top - radius, right + radius, bottom + radius
+  );
+  if (!hit) return undefined;
+
+  //If the point entered the box in one of the corners, test it
+  //against the circle around that corner instead
+  let x = ox + dx * hit.time,
+      y = oy + dy * hit.time,
+      cornerX = x < left ? left : x > right ? right : undefined,
+      cornerY = y < top ? top : y > bottom ? bottom : undefined;
+
+  if (cornerX !== undefined && cornerY !== undefined) {
+    return rayVsCircle(ox, oy, dx, dy, cornerX, cornerY, radius);
+  }
+  return hit;
+}
+
+/*
+tileCollision
+-------------
+
+Use it to move a sprite through a tile map and stop it from
+overlapping solid tiles, without needing a sprite for every tile.
+`tileCollision` moves the sprite by its `vx` and `vy` (so don't
+move it yourself) one axis at a time: first along the x axis, and then
+along the y axis. If the sprite runs into a tile, it's moved back to
+the tile's edge and its velocity on that axis is set to 0.
+
+The tile map can be a `tiledWorld`, or any object with `tilewidth`
+and `tileheight` properties and a `getTile(x, y, layer)` method that
+returns a tile object with `x`, `y`, `width`, `height`, `collision` and
+`properties` properties. If the tile map also has a `getTiles(x, y, layer)`
+method that returns an array of tiles, like `tiledWorld`, all the tiles
+at each position are checked. So if you leave out the `layer`, the solid
+tiles in every layer stop the sprite. The sprite's `x` and `y` position
+should be in the tile map's coordinates (make it a child of the world).
+
+The tiles' custom properties decide how they behave:
+
+- `collision: true`: A solid tile.
+- `oneWay: true`: A one-way platform. The sprite can jump up through
+  it and land on top of it.
+- `slopeLeft` and `slopeRight`: A slope. These are the heights of the
+  slope's surface at the tile's left and right edges, as a fraction of the
+  tile's height. For example, a slope that rises from the bottom left corner
+  to the top right corner has a `slopeLeft` of 0 and a `slopeRight` of 1.
+
+The function sets the sprite's `isOnGround` property to `true` if the
+sprite is standing on a tile. It returns an object with `left`, `right`,
+`top` and `bottom` properties that are `true` if that side of the sprite
+hit a tile.
+Parameters:
+a. A sprite object with `x`, `y`, `width`, `height`, `vx` and `vy` properties.
+b. The tile map.
+c. Optional: The name of the layer, or the layer, that contains the
+collision tiles.
+*/
+
+export
+function tileCollision(sprite, tileMap, layer) {
+  let collision = {left: false, right: false, top: false, bottom: false},
+      wasOnGround = sprite.isOnGround;
+
+  sprite.isOnGround = false;
+
+  //If the sprite is moving more than half a tile in this frame it
+  //could pass through a tile, so split the movement into smaller steps
+  let steps = Math.max(
+        1,
+        Math.ceil(Math.abs(sprite.vx) / (tileMap.tilewidth / 2)),
+        Math.ceil(Math.abs(sprite.vy) / (tileMap.tileheight / 2))
+      ),
+      stepX = sprite.vx / steps,
+      stepY = sprite.vy / steps;
+
+  for (let i = 0; i < steps; i++) {
+
+    //Move along the x axis and push the sprite out of any solid tiles
+    if (stepX !== 0) {
+      let movingRight = stepX > 0;
+      sprite.x += stepX;
+      overlappingTiles(sprite, tileMap, layer).forEach(tile => {
+        if (tileKind(tile) !== "solid") return;
+
+        //Let the sprite walk off the top of a slope onto the
+        //solid tile next to it
+        if (
+          sprite.y + sprite.height - tile.y <= tileMap.tileheight / 2
+          && slopeLeadsTo(tile, tileMap, layer, movingRight)
+        ) return;
+
+        if (movingRight) {
+          sprite.x = tile.x - sprite.width;
+          collision.right = true;
+        } else {
+          sprite.x = tile.x + tile.width;
+          collision.left = true;
+        }
+        sprite.vx = 0;
+        stepX = 0;
+      });
+    }
+
+    //Move along the y axis
+    if (stepY !== 0) {
+      let movingDown = stepY > 0,
+          previousBottom = sprite.y + sprite.height;
+      sprite.y += stepY;
+      overlappingTiles(sprite, tileMap, layer).forEach(tile => {
+        let kind = tileKind(tile);
+
+        //Land on one-way platforms only if the sprite was above
+        //them before it moved
+        if (
+          kind === "solid"
+          || kind === "oneWay" && movingDown && previousBottom <= tile.y
+        ) {
+          if (movingDown) {
+            sprite.y = tile.y - sprite.height;
+            collision.bottom = true;
+            sprite.isOnGround = true;
+          } else {
+            sprite.y = tile.y + tile.height;
+            collision.top = true;
+          }
+          sprite.vy = 0;
+          stepY = 0;
+        }
+      });
+    }
+  }
+
+  //Keep the sprite on top of any slopes. If it was on the ground
+  //before it moved, let it snap down onto slopes that are a little bit
+  //below it, so that it doesn't bounce down hills. (But don't snap it
+  //down if it's already standing on a solid tile)
+  if (sprite.vy >= 0) {
+    let snap = wasOnGround && !collision.bottom ? tileMap.tileheight / 2 : 0,
+        surface = slopeSurface(sprite, tileMap, layer, snap);
+    if (surface !== undefined && (!collision.bottom || surface < sprite.y + sprite.height)) {
+      sprite.y = surface - sprite.height;
+      sprite.vy = 0;
+      sprite.isOnGround = true;
+      collision.bottom = true;
+    }
+  }
+
+  return collision;
+}
+
+/*
+isOnGround
+----------
+
+Use it to find out if a sprite is standing on a solid tile, a one-way
+platform or a slope in a tile map.
+Parameters:
+a. A sprite object with `x`, `y`, `width` and `height` properties.
+b. The tile map (see `tileCollision`).
+c. Optional: The name of the layer, or the layer, that contains the
+collision tiles.
+*/
+
+export
+function isOnGround(sprite, tileMap, layer) {
+  let bottom = sprite.y + sprite.height;
+
+  //Check the tiles just below the sprite's feet. (A sprite that's
+  //moved by a fraction of a pixel might not be exactly on top of a
+  //tile, so allow a tiny gap or overlap)
+  let feet = {x: sprite.x, y: bottom, width: sprite.width, height: 1},
+      standing = overlappingTiles(feet, tileMap, layer).some(tile => {
+        let kind = tileKind(tile);
+        return (kind === "solid" || kind === "oneWay")
+          && Math.abs(tile.y - bottom) < 0.001;
+      });
+
+  return standing || slopeSurface(sprite, tileMap, layer, 1) !== undefined;
+}
+
+//`overlappingTiles` returns all the tiles that a rectangle overlaps
+function overlappingTiles(o, tileMap, layer) {
+  let tiles = [],
+      tilewidth = tileMap.tilewidth,
+      tileheight = tileMap.tileheight,
+
+      //The edges of the rectangle. (Subtract a tiny amount from the
+      //right and bottom so that a sprite that's exactly touching a tile
+      //doesn't overlap it)
+      left = Math.floor(o.x / tilewidth),
+      right = Math.floor((o.x + o.width - 0.001) / tilewidth),
+      top = Math.floor(o.y / tileheight),
+      bottom = Math.floor((o.y + o.height - 0.001) / tileheight);
+
+  for (let row = top; row <= bottom; row++) {
+    for (let column = left; column <= right; column++) {
+      let x = column * tilewidth,
+          y = row * tileheight;
+      if (tileMap.getTiles) {
+        tiles.push(...tileMap.getTiles(x, y, layer));
+      } else {
+        let tile = tileMap.getTile(x, y, layer);
+        if (tile) tiles.push(tile);
+      }
+    }
+  }
+  return tiles;
+}
+
+//`tileKind` finds out whether a tile is "solid", "oneWay" or a
+//"slope". It returns `undefined` for tiles that the sprite can pass through
+function tileKind(tile) {
+  let properties = tile.properties || {};
+  if (properties.slopeLeft !== undefined || properties.slopeRight !== undefined) {
+    return "slope";
+  }
+  if (properties.oneWay) return "oneWay";
+  if (tile.collision) return "solid";
+  return undefined;
+}
+
+//`slopeLeadsTo` finds out if the tile before a solid tile is a slope
+//that rises all the way up to the solid tile's top
+function slopeLeadsTo(tile, tileMap, layer, movingRight) {
+  let x = movingRight ? tile.x - tileMap.tilewidth : tile.x + tile.width,
+      previous = tileMap.getTile(x, tile.y, layer);
+  if (!previous || tileKind(previous) !== "slope") return false;
+  let height = movingRight ? previous.properties.slopeRight : previous.properties.slopeLeft;
+  return height >= 1;
+}
+
+//`slopeSurface` finds the y position of the surface of the slope
+//under the center of the sprite's feet. It returns `undefined` if the
+//sprite's feet aren't on a slope or are more than `snap` pixels above it
+function slopeSurface(sprite, tileMap, layer, snap) {
+  let footX = sprite.x + sprite.width / 2,
+      bottom = sprite.y + sprite.height,
+      surface;
+
+  //Check the tile that the sprite's feet are in, and the tile below it
+  [bottom - 0.001, bottom + tileMap.tileheight - 0.001].forEach(y => {
+    if (surface !== undefined) return;
+    let tile = tileMap.getTile(footX, y, layer);
+    if (!tile || tileKind(tile) !== "slope") return;
+
+    //Find the height of the slope at the sprite's feet
+    let properties = tile.properties,
+        left = properties.slopeLeft || 0,
+        right = properties.slopeRight || 0,
+        ratio = (footX - tile.x) / tile.width,
+        surfaceY = tile.y + tile.height - (left + (right - left) * ratio) * tile.height;
+
+    //Is the sprite's feet below the surface, or close enough above it?
+    if (bottom >= surfaceY - snap && bottom <= tile.y + tile.height) {
+      surface = surfaceY;
+    }
+  });
+  return surface;
+}
+
+/*
+spatialHash
+-----------
+
+A uniform grid that you can use as a "broad-phase" to quickly find
+out which sprites are near each other. Only sprites that share a grid
+cell need to be tested with the more expensive collision functions.
+Create a spatial hash with a cell size, add sprites to it, and call its
+`update` method once each frame, after the sprites have moved:
+
+    let bricksHash = spatialHash(64);
+    bricksHash.add(...bricks);
+
+    //In the game loop:
+    bricksHash.update();
+    hit(ball, bricksHash, true, true, true, (collision, brick) => {
+      //...
+    });
+
+The cell size should be about twice the size of the sprites.
+The hash uses the sprites' global positions.
+*/
+
+export
+function spatialHash(cellSize = 64) {
+  let o = {
+    cellSize: cellSize,
+
+    //All the sprites in the hash
+    sprites: [],
+
+    //The grid cells. Each key is a string of the cell's column and
+    //row, like "3,7", and each value is an array of sprites
+    cells: {},
+
+    //Add sprites to the hash
+    add(...spritesToAdd) {
+      spritesToAdd.forEach(sprite => {
+        if (!members.has(sprite)) {
+          members.add(sprite);
+          o.sprites.push(sprite);
+          insert(sprite);
+        }
+      });
+    },
+
+    //Remove sprites from the hash
+    remove(...spritesToRemove) {
+      spritesToRemove.forEach(sprite => {
+        if (members.delete(sprite)) o.sprites.splice(o.sprites.indexOf(sprite), 1);
+      });
+      o.update();
+    },
+
+    //Is the sprite in the hash?
+    has(sprite) {
+      return members.has(sprite);
+    },
+
+    //Sort the sprites into the cells at their current positions
+    update() {
+      o.cells = {};
+      o.sprites.forEach(insert);
+    },
+
+    //Return an array of the sprites in the hash that share a cell
+    //with the sprite (or point) that you supply
+    query(sprite) {
+      let candidates = [],
+          found = new Set();
+      cellKeys(sprite).forEach(key => {
+        let cell = o.cells[key];
+        if (cell) {
+          cell.forEach(candidate => {
+            if (candidate !== sprite && !found.has(candidate)) {
+              found.add(candidate);
+              candidates.push(candidate);
+            }
+          });
+        }
+      });
+      return candidates;
+    },
+
+    //Return an array of all the pairs of sprites in the hash that
+    //share a cell. Each pair is an array of two sprites
+    pairs() {
+      let pairs = [],
+          indexes = new Map();
+      o.sprites.forEach((sprite, i) => indexes.set(sprite, i));
+      o.sprites.forEach((sprite, i) => {
+        o.query(sprite).forEach(candidate => {
+          //Only add each pair once
+          if (indexes.get(candidate) > i) pairs.push([sprite, candidate]);
+        });
+      });
+      return pairs;
+    }
+  };
+
+  //The sprites in the hash, for finding out quickly if a
+  //sprite has already been added
+  let members = new Set();
+
+  //Add a sprite to all the cells that it overlaps
+  function insert(sprite) {
+    cellKeys(sprite).forEach(key => {
+      if (!o.cells[key]) o.cells[key] = [];
+      o.cells[key].push(sprite);
+    });
+  }
+
+  //Find the keys of all the cells that a sprite overlaps
+  function cellKeys(sprite) {
+    let bounds = shapeBounds(sprite),
+        left = Math.floor(bounds.left / o.cellSize),
+        right = Math.floor(bounds.right / o.cellSize),
+        top = Math.floor(bounds.top / o.cellSize),
+        bottom = Math.floor(bounds.bottom / o.cellSize),
+        keys = [];
+    for (let column = left; column <= right; column++) {
+      for (let row = top; row <= bottom; row++) {
+        keys.push(column + "," + row);
+      }
+    }
+    return keys;
+  }
+
+  return o;
+}
+
+//`shapeBounds` returns the global axis-aligned bounding box of a
+//sprite or point, including the effect of its rotation and scale
+function shapeBounds(sprite) {
+  let shape = satShape(sprite, true);
+  if (shape.center) {
+    return {
+      left: shape.center.x - shape.radius,
+      right: shape.center.x + shape.radius,
+      top: shape.center.y - shape.radius,
+      bottom: shape.center.y + shape.radius
+    };
+  }
+  let xs = shape.vertices.map(vertex => vertex.x),
+      ys = shape.vertices.map(vertex => vertex.y);
+  return {
+    left: Math.min(...xs),
+    right: Math.max(...xs),
+    top: Math.min(...ys),
+    bottom: Math.max(...ys)
+  };
+}
+
+/*
+collisionManager
+----------------
+
+A collision manager finds out which of its sprites are touching each
+frame, and tells them when they start touching, keep touching and
+stop touching. Sprites have a `collisionGroup` and a `collidesWith` property.
+They're bitmasks, so each group should be a power of 2:
+
+    const PLAYER = 1, ENEMY = 2, BULLET = 4;
+    player.collisionGroup = PLAYER;
+    player.collidesWith = ENEMY;
+    enemy.collisionGroup = ENEMY;
+    enemy.collidesWith = PLAYER | BULLET;
+
+Two sprites are only tested if each one's `collisionGroup` is in the
+other one's `collidesWith` mask. By default, sprites are in group 1 and
+collide with everything.
+
+Make a manager and add sprites to it:
+
+    let manager = collisionManager();
+    manager.add(player, ...enemies);
+
+Then give the sprites any of these event callbacks:
+
+    player.onCollisionEnter = (other, collision) => {};
+    player.onCollisionStay = (other, collision) => {};
+    player.onCollisionExit = (other) => {};
+
+The `collision` object has a `side` property, which is "top",
+"right", "bottom" or "left" depending on which side of the sprite is
+touching the other sprite (just like `rectangleCollision`), and `normal`
+and `overlap` properties that tell you which way, and how far, the
+sprite would have to move to stop touching. The manager also has
+`onCollisionEnter`, `onCollisionStay` and `onCollisionExit` callbacks that are
+called with both sprites: `manager.onCollisionEnter = (a, b, collision) => {}`.
+
+Only the manager's sprites that are on the stage are tested. If you
+take a sprite off the stage with `remove`, or remove the group that it's
+in, the manager sends `onCollisionExit` for anything it was touching
+and ignores it until it's back on the stage.
+
+All the managers are kept in the `collisionManagers` array, and the
+engine updates them each frame. If you're not using the engine, call each
+manager's `update` method in your game loop.
+*/
+
+//The `collisionManagers` array stores all the collision managers
+export let collisionManagers = [];
+
+export
+function collisionManager(cellSize = 64) {
+  let o = {
+    //The sprites that the manager tests
+    sprites: [],
+
+    //The pairs of sprites that are touching. Each contact is an
+    //object with `a`, `b` and `collision` properties
+    contacts: [],
+
+    //Optional callbacks for all the collisions
+    onCollisionEnter: undefined,
+    onCollisionStay: undefined,
+    onCollisionExit: undefined,
+
+    //Add sprites to the manager
+    add(...spritesToAdd) {
+      spritesToAdd.forEach(sprite => {
+        if (o.sprites.indexOf(sprite) === -1) o.sprites.push(sprite);
+      });
+    },
+
+    //Remove sprites from the manager. Any contacts they have
+    //end with an exit event. (Sprites can be removed inside an event
+    //callback while the manager is updating. They're skipped for the
+    //rest of the update, and their contacts only end once)
+    remove(...spritesToRemove) {
+      spritesToRemove.forEach(sprite => {
+        let index = o.sprites.indexOf(sprite);
+        if (index !== -1) o.sprites.splice(index, 1);
+        if (updatingContacts) removedSprites.add(sprite);
+      });
+
+      //Find the contacts that have ended, in the last frame's
+      //contacts and in the contacts that are being updated
+      let ended = [],
+          isRemoved = contact => {
+            return o.sprites.indexOf(contact.a) === -1 || o.sprites.indexOf(contact.b) === -1;
+          };
+      o.contacts = o.contacts.filter(contact => {
+        if (isRemoved(contact)) {
+          ended.push(contact);
+          return false;
+        }
+        return true;
+      });
+      if (updatingContacts) {
+        for (let i = updatingContacts.length - 1; i >= 0; i--) {
+          let contact = updatingContacts[i];
+          if (isRemoved(contact)) {
+            if (ended.indexOf(contact) === -1) ended.push(contact);
+            updatingContacts.splice(i, 1);
+          }
+        }
+      }
+      ended.forEach(exit);
+    },
+
+    //Find the sprites that are touching and send the events
+    update() {
+      let hash = spatialHash(cellSize),
+          contacts = [];
+      updatingContacts = contacts;
+      removedSprites.clear();
+
+      //Only test sprites that are on the stage
+      o.sprites.forEach(sprite => {
+        if (isOnStage(sprite)) hash.add(sprite);
+      });
+
+      hash.pairs().forEach(([a, b]) => {
+
+        //Skip sprites that were removed by an earlier event callback
+        if (removedSprites.has(a) || removedSprites.has(b)) return;
+
+        //Do the sprites' groups and masks let them collide?
+        if (!canCollide(a, b)) return;
+
+        //Are they touching?
+        let mtv = hitTestPolygon(a, b, true);
+        if (!mtv) return;
+
+        let collision = {
+          side: collisionSide(a, mtv.normal),
+          normal: mtv.normal,
+          overlap: mtv.overlap
+        };
+
+        //Were they already touching?
+        let contact = findContact(o.contacts, a, b);
+        if (contact) {
+
+          //Make sure that `a` and `b` are in the same order as
+          //the existing contact
+          if (contact.a !== a) {
+            [a, b] = [b, a];
+            collision = reverse(a, collision);
+          }
+          contact.collision = collision;
+          contacts.push(contact);
+          emit("onCollisionStay", contact);
+        } else {
+          contact = {a, b, collision};
+          contacts.push(contact);
+          emit("onCollisionEnter", contact);
+        }
+      });
+
+      //The sprites that were touching in the last frame, but aren't
+      //touching any more, have stopped colliding
+      o.contacts.forEach(contact => {
+        if (contacts.indexOf(contact) === -1) exit(contact);
+      });
+
+      o.contacts = contacts;
+      updatingContacts = undefined;
+      removedSprites.clear();
+    }
+  };
+
+  //While the manager is updating, `updatingContacts` is the array of
+  //contacts that it's building, and `removedSprites` are the sprites
+  //that have been removed by event callbacks
+  let updatingContacts = undefined,
+      removedSprites = new Set();
+
+  //Find the contact between two sprites, if there is one
+  function findContact(contacts, a, b) {
+    for (let i = 0; i < contacts.length; i++) {
+      let contact = contacts[i];
+      if (contact.a === a && contact.b === b || contact.a === b && contact.b === a) {
+        return contact;
+      }
+    }
+    return undefined;
+  }
+
+  //Call the sprites' and the manager's event callbacks. The second
+  //sprite gets the collision from its own point of view. If a callback
+  //removes one of the sprites, the contact has ended, so the rest of
+  //the callbacks aren't called
+  function emit(eventName, contact) {
+    let {a, b, collision} = contact,
+        ended = () => removedSprites.has(a) || removedSprites.has(b);
+    if (a[eventName]) a[eventName](b, collision);
+    if (b[eventName] && !ended()) b[eventName](a, reverse(b, collision));
+    if (o[eventName] && !ended()) o[eventName](a, b, collision);
+  }
+
+  function exit(contact) {
+    let {a, b} = contact;
+    if (a.onCollisionExit) a.onCollisionExit(b);
+    if (b.onCollisionExit) b.onCollisionExit(a);
+    if (o.onCollisionExit) o.onCollisionExit(a, b);
+  }
+
+  //Flip a collision around so that it describes how the other
+  //sprite, `sprite`, is touching
+  function reverse(sprite, collision) {
+    let normal = {x: -collision.normal.x, y: -collision.normal.y};
+    return {
+      side: collisionSide(sprite, normal),
+      normal: normal,
+      overlap: collision.overlap
+    };
+  }
+
+  //Add the manager to the `collisionManagers` array so that the
+  //engine updates it
+  collisionManagers.push(o);
+
+  return o;
+}
+
+//`canCollide` checks the sprites' `collisionGroup` and `collidesWith` bitmasks
+function canCollide(a, b) {
+  return (a.collisionGroup & b.collidesWith) !== 0
+    && (b.collisionGroup & a.collidesWith) !== 0;
+}
+
+/*
+removeCollisionManager
+----------------------
+
+Remove a collision manager so that the engine stops updating it.
+*/
+
+export
+function removeCollisionManager(manager) {
+  let index = collisionManagers.indexOf(manager);
+  if (index !== -1) collisionManagers.splice(index, 1);
 }
 
 /*
 hit
 ---
 A convenient universal collision function to test for collisions
-between rectangles, circles, and points.
+between rectangles, circles, polygons, lines and points.
+You can also test a sprite against an array of sprites, or an
+array of sprites against another array. Array vs. array tests use a
+temporary `spatialHash` so that only sprites that are near each
+other are tested. If `b` is a `spatialHash`, `a` (a sprite or an array of
+sprites) is only tested against the sprites in the hash's nearby cells.
+The optional `extra` function is called with the collision and the
+sprites that collided: `extra(collision, spriteB)` for sprite vs. array
+tests, and `extra(collision, spriteA, spriteB)` for array vs. array
+tests.
+Set the optional `swept` argument to `true` to check fast-moving circles
+and rectangles along their whole path with the swept collision
+functions, so that they can't tunnel through thin sprites. If the
+swept test doesn't find a collision, the ordinary test is used. `hit`
+returns the same kind of value as the ordinary test does (like
+"top" or "bottom" for rectangles that react), and the swept test's
+time-of-impact object (see `hitTestSweptRectangle`) is sent to the
+`extra` function as its last argument: `extra(collision, timeOfImpact)`,
+`extra(collision, spriteB, timeOfImpact)` or
+`extra(collision, spriteA, spriteB, timeOfImpact)`. It's `undefined` if
+the swept test didn't find the collision.
 */
 
 export
-function hit(a, b, react = false, bounce = false, global, extra = undefined) {
+function hit(
+  a, b, react = false, bounce = false, global, extra = undefined, swept = false
+) {
   let collision,
-    aIsASprite = a.parent !== undefined,
-    bIsASprite = b.parent !== undefined;
+    timeOfImpact,
+    aIsASprite = !(a instanceof Array) && !isPoint(a),
+    bIsASprite = !(b instanceof Array) && !isPoint(b);
 
+  //Is `b` a spatial hash?
+  if (b.query && b.cells) {
+    //Test `a` against the sprites that are near it
+    if (a instanceof Array) {
+      arrayVsHash(a, b);
+    } else {
+      spriteVsArray(a, b.query(a));
+    }
+  }
+  //Are both arguments arrays?
+  else if (a instanceof Array && b instanceof Array) {
+    //Put `b` in a spatial hash and test each sprite in `a` against it
+    arrayVsHash(a, temporaryHash(b));
+  }
   //Check to make sure one of the arguments isn't an array
-  if (aIsASprite && b instanceof Array || bIsASprite && a instanceof Array) {
+  else if (aIsASprite && b instanceof Array || bIsASprite && a instanceof Array) {
     //If it is, check for a collision between a sprite and an array
-    spriteVsArray();
+    //If `a` happens to be the array, flip it around so that it becomes `b`
+    if (a instanceof Array) {
+      spriteVsArray(b, a);
+    } else {
+      spriteVsArray(a, b);
+    }
   } else {
     //If one of the arguments isn't an array, find out what type of
     //collision check to run
     collision = findCollisionType(a, b);
-    if (collision && extra) extra(collision);
+    if (collision && extra) extra(collision, timeOfImpact);
   }
 
   //Return the result of the collision.
   //It will be `undefined` if there's no collision and `true` if 
   //there is a collision. `rectangleCollision` sets `collsision` to
   //"top", "bottom", "left" or "right" depeneding on which side the
-  //collision is occuring on
+  //collision is occuring on. Polygon and line collisions return a
+  //minimum translation vector object, and line vs. line tests return
+  //the intersection point
   return collision;
 
   function findCollisionType(a, b) {
     //Are `a` and `b` both sprites?
     //(We have to check again if this function was called from
     //`spriteVsArray`)
-    let aIsASprite = a.parent !== undefined;
-    let bIsASprite = b.parent !== undefined;
+    let aIsASprite = !isPoint(a);
+    let bIsASprite = !isPoint(b);
+    timeOfImpact = undefined;
 
     if (aIsASprite && bIsASprite) {
-      //Yes, but what kind of sprites?
-      if (a.diameter && b.diameter) {
+      //Is one of them a line?
+      if (isLine(a) || isLine(b)) {
+        return lineVsShape(a, b);
+      }
+
+      //Should fast-moving sprites be checked along their paths?
+      //(Polygons and rotated sprites aren't supported by the swept tests)
+      if (swept && !a.points && !b.points && !a.rotation && !b.rotation) {
+        let result = react ? sweptCollision(a, b, bounce, global) : sweep(a, b, global);
+        if (result) {
+          timeOfImpact = result;
+          return sweptResult(a, b, result.normal);
+        }
+      }
+
+      //What kind of sprites are they?
+      if (a.points || b.points) {
+        //At least one of them is a polygon
+        return polygonVsShape(a, b);
+      } else if (a.diameter && b.diameter) {
         //They're circles
         return circleVsCircle(a, b);
       } else if (a.diameter && !b.diameter) {
@@ -963,27 +2485,66 @@ function hit(a, b, react = false, bounce = false, global, extra = undefined) {
     //They're not both sprites, so what are they?
     //Is `a` not a sprite and does it have x and y properties?
     else if (bIsASprite && !(a.x === undefined) && !(a.y === undefined)) {
-      //Yes, so this is a point vs. sprite collision test
-      return hitTestPoint(a, b);
+      //Yes, so this is a point vs. sprite collision test.
+      //Is the sprite a polygon?
+      if (b.points) {
+        return hitTestPolygon(a, b, global) !== false;
+      }
+      return hitTestPoint(a, b, global);
     } else {
       //The user is trying to test some incompatible objects
       throw new Error(`I'm sorry, ${a} and ${b} cannot be use together in a collision test.'`);
     }
   }
 
-  function spriteVsArray() {
-    //If `a` happens to be the array, flip it around so that it becomes `b`
-    if (a instanceof Array) {
-      let [a, b] = [b, a];
-    }
+  function spriteVsArray(a, b) {
     //Loop through the array in reverse
     for (let i = b.length - 1; i >= 0; i--) {
       let sprite = b[i];
       collision = findCollisionType(a, sprite);
-      if (collision && extra) extra(collision, sprite);
+      if (collision && extra) extra(collision, sprite, timeOfImpact);
     }
   }
 
+  function arrayVsHash(arrayOfSprites, hash) {
+    let anyCollision,
+        indexes = new Map();
+    arrayOfSprites.forEach((sprite, i) => indexes.set(sprite, i));
+
+    //Loop through the array in reverse
+    for (let i = arrayOfSprites.length - 1; i >= 0; i--) {
+      let spriteA = arrayOfSprites[i],
+          aIsInHash = hash.has(spriteA);
+
+      //Only run the collision test on the sprites that share a cell
+      //with `spriteA`. If both sprites are in the array and in the
+      //hash, the pair would be found twice, so it's only tested once
+      hash.query(spriteA).forEach(spriteB => {
+        if (aIsInHash && indexes.get(spriteB) > i) return;
+        let result = findCollisionType(spriteA, spriteB);
+        if (result) {
+          anyCollision = true;
+          if (extra) extra(result, spriteA, spriteB, timeOfImpact);
+        }
+      });
+    }
+
+    //`collision` will be `true` if any of the sprites collided
+    collision = anyCollision;
+  }
+
+  function temporaryHash(arrayOfSprites) {
+    //Make the cells about twice the average size of the sprites
+    let totalSize = 0;
+    arrayOfSprites.forEach(sprite => {
+      totalSize += Math.max(sprite.width || 0, sprite.height || 0);
+    });
+    let cellSize = Math.max(1, totalSize / (arrayOfSprites.length || 1) * 2),
+        hash = spatialHash(cellSize);
+    hash.add(...arrayOfSprites);
+    return hash;
+  }
+
   function circleVsCircle(a, b) {
     //If the circles shouldn't react to the collision,
     //just test to see if they're touching
@@ -1006,6 +2567,16 @@ function hit(a, b, react = false, bounce = false, global, extra = undefined) {
   }
 
   function rectangleVsRectangle(a, b) {
+    //If either rectangle is rotated, use the oriented rectangle
+    //versions of the collision functions
+    if (a.rotation || b.rotation) {
+      if (!react) {
+        return hitTestOrientedRectangle(a, b, global);
+      } else {
+        return orientedRectangleCollision(a, b, bounce, global);
+      }
+    }
+
     //If the rectangles shouldn't react to the collision, just
     //test to see if they're touching
     if (!react) {
@@ -1015,7 +2586,63 @@ function hit(a, b, react = false, bounce = false, global, extra = undefined) {
     }
   }
 
+  function lineVsShape(a, b) {
+    //Are they both lines?
+    if (isLine(a) && isLine(b)) {
+      return lineIntersection(a, b, global);
+    }
+
+    //Lines don't move, so if the line is the first argument, flip
+    //the arguments around so that the other sprite reacts
+    if (isLine(a)) [a, b] = [b, a];
+
+    if (!react) {
+      return hitTestLine(a, b, global);
+    } else {
+      return lineCollision(a, b, bounce, global);
+    }
+  }
+
+  function polygonVsShape(a, b) {
+    //If the shapes shouldn't react to the collision, just
+    //test to see if they're touching. Both functions return the
+    //minimum translation vector if there's a collision
+    if (!react) {
+      return hitTestPolygon(a, b, global);
+    } else {
+      return polygonCollision(a, b, bounce, global);
+    }
+  }
+
+  //`sweptResult` turns the normal of a swept collision into the same
+  //kind of value that the ordinary test for the sprites returns
+  function sweptResult(a, b, normal) {
+
+    //Circles just return `true`
+    if (a.diameter && b.diameter) return true;
+
+    //A circle and a rectangle return the region of the rectangle
+    //that the circle is in, like "topMiddle" or "bottomLeft"
+    if (a.diameter) {
+      let row = normal.y < -0.001 ? "top" : normal.y > 0.001 ? "bottom" : "",
+          column = normal.x < -0.001 ? "Left" : normal.x > 0.001 ? "Right" : "Middle";
+      if (row === "") return column.toLowerCase() + "Middle";
+      return row + column;
+    }
+
+    //Rectangles that react return the side of the first rectangle
+    //that hit the second one
+    if (!react) return true;
+    if (Math.abs(normal.y) >= Math.abs(normal.x)) {
+      return normal.y < 0 ? "bottom" : "top";
+    }
+    return normal.x < 0 ? "right" : "left";
+  }
+
   function circleVsRectangle(a, b) {
+    //If the rectangle is rotated, test it as a polygon
+    if (b.rotation) return polygonVsShape(a, b);
+
     //If the rectangles shouldn't react to the collision, just
     //test to see if they're touching
     if (!react) {
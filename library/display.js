@@ -12,6 +12,7 @@ creating and rendering canvas based sprites.
 //import "../library/plugins/rAF";
 //`hitTestPoint` needed for the Button class's `update` method
 //import {hitTestPoint} from "../library/collision"
+import {Matrix} from "../library/matrix";
 
 
 /*
@@ -25,6 +26,17 @@ It shouldn't be instantiated, just extended.
 
 class DisplayObject {
   constructor() {
+    //The sprite's cached transformation matrices. They're worked out
+    //again when the sprite, or one of its parents, is moved, rotated
+    //or scaled
+    this._localTransform = undefined;
+    this._world = undefined;
+    this._inverse = undefined;
+
+    //The `_appearanceVersion` goes up each time the way the sprite
+    //draws itself changes
+    this._appearanceVersion = 0;
+
     //The sprite's position and size
     this.x = 0;
     this.y = 0;
@@ -71,6 +83,13 @@ class DisplayObject {
     //Optional blend mode property
     this.blendMode = undefined;
 
+    //Set `cacheAsBitmap` to `true` to draw the sprite and its children
+    //into an offscreen canvas, and display that image instead of
+    //redrawing them every frame
+    this._cacheAsBitmap = false;
+    this._cache = undefined;
+    this._cacheDirty = false;
+
     //Properties for advanced features: 
     
     //Image states and animation
@@ -90,31 +109,101 @@ class DisplayObject {
     //or touchable
     this._interactive = false;
 
-    //The sprite's previous x and y positions
-    this.previousX = 0;
-    this.previousY = 0;
+    //The sprite's collision layer bitmasks, used by collision
+    //managers. The sprite is in group 1 and collides with every group
+    this.collisionGroup = 1;
+    this.collidesWith = 0xFFFFFFFF;
+
+    //The sprite's previous x and y positions. They're `undefined`
+    //until they're captured by `capturePreviousPositions` so that new
+    //sprites aren't interpolated from the top left corner of the canvas
+    this.previousX = undefined;
+    this.previousY = undefined;
   }
 
   /* Essentials */
 
-  //Global position
+  //Global position. It's where the sprite's `x` and `y` position is
+  //on the canvas, after all its parents have been moved, rotated and
+  //scaled
   get gx() {
     if (this.parent) {
-
-      //The sprite's global x position is a combination of
-      //its local x value and its parent's global x value
-      return this.x + this.parent.gx;
+      return this.parent.toGlobal(this).x;
     } else {
       return this.x;  
     }
   }
   get gy() {
     if (this.parent) {
-      return this.y + this.parent.gy;
+      return this.parent.toGlobal(this).y;
     } else {
       return this.y;
     }
   }
+
+  //The `localTransform` is the matrix that converts points inside
+  //the sprite (where 0,0 is its top left corner) to points in its parent.
+  //It moves, rotates and scales them around the sprite's pivot point,
+  //the same way that the sprite is rendered. It's only worked out
+  //again after the sprite changes
+  get localTransform() {
+    if (!this._localTransform) {
+      this._localTransform = localMatrix(this, this.x, this.y);
+    }
+    return this._localTransform;
+  }
+
+  //The `worldTransform` converts points inside the sprite to
+  //points on the stage. It's the sprite's `localTransform` combined
+  //with the `localTransform` of all its parents. It's only worked out
+  //again if the sprite's `localTransform`, or its parent's
+  //`worldTransform`, is a different matrix to last time. (Don't change
+  //the values of these matrices, because they're shared)
+  get worldTransform() {
+    let local = this.localTransform;
+    if (!this.parent) return local;
+    let parentWorld = this.parent.worldTransform,
+        world = this._world;
+    if (!world || world.parent !== parentWorld || world.local !== local) {
+      world = this._world = {
+        parent: parentWorld,
+        local: local,
+        matrix: parentWorld.multiply(local)
+      };
+    }
+    return world.matrix;
+  }
+
+  //`toGlobal` converts a point inside the sprite to a point on the
+  //stage, and `toLocal` converts a point on the stage to a point inside
+  //the sprite. The point can be any object with `x` and `y` properties.
+  //If the sprite is inside a world with a `camera`, the points are in
+  //the world's coordinates, before the camera moves them. Use the
+  //camera's `worldToScreen` and `screenToWorld` methods to convert
+  //them to and from points on the canvas
+  toGlobal(point) {
+    return this.worldTransform.apply(point);
+  }
+  toLocal(point) {
+
+    //Remember the inverse of the `worldTransform` until it changes
+    let matrix = this.worldTransform;
+    if (!this._inverse || this._inverse.matrix !== matrix) {
+      this._inverse = {matrix: matrix, inverse: matrix.invert()};
+    }
+    let inverse = this._inverse.inverse;
+    return inverse ? inverse.apply(point) : undefined;
+  }
+
+  //Global alpha. A sprite's alpha is multiplied by the alpha of all
+  //its parents, so fading a group fades everything inside it
+  get worldAlpha() {
+    if (this.parent) {
+      return this.alpha * this.parent.worldAlpha;
+    } else {
+      return this.alpha;
+    }
+  }
   
   //Depth layer
   get layer() {
@@ -126,9 +215,40 @@ class DisplayObject {
       //Sort the sprite’s parent’s `children` array so that sprites with a
       //higher `layer` value are moved to the end of the array
       this.parent.children.sort((a, b) => a.layer - b.layer);
+      invalidateParents(this);
     } 
   }
 
+  //Bitmap caching. When `cacheAsBitmap` is `true`, the renderer
+  //draws the sprite and all its children into an offscreen canvas, and
+  //then just displays that canvas's image until something in it changes.
+  //Use it for complex groups that don't change much, like a grid
+  //of bricks or a text-heavy score display. The sprite can still be
+  //moved, rotated, scaled and faded without redrawing the cache.
+  //(The cache is drawn at the sprite's normal size, so it can look
+  //blurry if the sprite is scaled up)
+  get cacheAsBitmap() {
+    return this._cacheAsBitmap;
+  }
+  set cacheAsBitmap(value) {
+    this._cacheAsBitmap = value;
+    this._cacheDirty = true;
+
+    //Throw away the old image when caching is switched off
+    if (!value) this._cache = undefined;
+  }
+
+  //The cache is redrawn automatically when children are added or
+  //removed, or their properties change. (The sprites' properties are
+  //getters and setters that call `invalidateCache` when they change.)
+  //If you change something that the setters can't see, like the pixels
+  //of an image, the points of a polygon, or your own property that a
+  //custom `render` method uses, call `invalidateCache` to redraw it
+  invalidateCache() {
+    this._appearanceVersion += 1;
+    markCacheDirty(this);
+  }
+
   //The `addChild` method lets you add sprites to this container
   addChild(sprite) {
     //Remove the sprite from its current parent, if it has one, and
@@ -140,6 +260,7 @@ class DisplayObject {
     //add it to this object's `children` array
     sprite.parent = this;
     this.children.push(sprite);
+    markCacheDirty(this);
   }
 
   //The `removeChild` method lets you remove a sprite from its
@@ -147,6 +268,7 @@ class DisplayObject {
   removeChild(sprite) {
     if(sprite.parent === this) {
       this.children.splice(this.children.indexOf(sprite), 1);
+      markCacheDirty(this);
     } else {
       throw new Error(sprite + "is not a child of " + this);
     }
@@ -221,35 +343,54 @@ class DisplayObject {
   //In all these methods, `b` is the second sprite that is being
   //positioned relative to the first sprite (this one), `a`
 
+  //If `b` is in a different container to `a`, the positions are
+  //converted from `a`'s container to `b`'s container, so `b` lines
+  //up with `a` on the canvas
+
   //Center `b` inside `a`
   putCenter(b, xOffset = 0, yOffset = 0) {
-    let a = this;
-    b.x = (a.x + a.halfWidth - b.halfWidth) + xOffset;
-    b.y = (a.y + a.halfHeight - b.halfHeight) + yOffset;
+    let a = this,
+        point = a.pointFor(b, a.x + a.halfWidth, a.y + a.halfHeight);
+    b.x = (point.x - b.halfWidth) + xOffset;
+    b.y = (point.y - b.halfHeight) + yOffset;
   }
   //Position `b` above `a`
   putTop(b, xOffset = 0, yOffset = 0) {
-    let a = this;
-    b.x = (a.x + a.halfWidth - b.halfWidth) + xOffset;
-    b.y = (a.y - b.height) + yOffset;
+    let a = this,
+        point = a.pointFor(b, a.x + a.halfWidth, a.y);
+    b.x = (point.x - b.halfWidth) + xOffset;
+    b.y = (point.y - b.height) + yOffset;
   }
   //Position `b` to the right of `a`
   putRight(b, xOffset = 0, yOffset = 0) {
-    let a = this;
-    b.x = (a.x + a.width) + xOffset;
-    b.y = (a.y + a.halfHeight - b.halfHeight) + yOffset;
+    let a = this,
+        point = a.pointFor(b, a.x + a.width, a.y + a.halfHeight);
+    b.x = point.x + xOffset;
+    b.y = (point.y - b.halfHeight) + yOffset;
   }
   //Position `b` below `a`
   putBottom(b, xOffset = 0, yOffset = 0) {
-    let a = this;
-    b.x = (a.x + a.halfWidth - b.halfWidth) + xOffset;
-    b.y = (a.y + a.height) + yOffset;
+    let a = this,
+        point = a.pointFor(b, a.x + a.halfWidth, a.y + a.height);
+    b.x = (point.x - b.halfWidth) + xOffset;
+    b.y = point.y + yOffset;
   }
   //Position `b` to the left of `a`
   putLeft(b, xOffset = 0, yOffset = 0) {
-    let a = this;
-    b.x = (a.x - b.width) + xOffset;
-    b.y = (a.y + a.halfHeight - b.halfHeight) + yOffset;
+    let a = this,
+        point = a.pointFor(b, a.x, a.y + a.halfHeight);
+    b.x = (point.x - b.width) + xOffset;
+    b.y = (point.y - b.halfHeight) + yOffset;
+  }
+
+  //`pointFor` converts a point in this sprite's container to the
+  //same point on the canvas in `b`'s container
+  pointFor(b, x, y) {
+    let point = {x: x, y: y};
+    if (b.parent === this.parent) return point;
+    if (this.parent) point = this.parent.toGlobal(point);
+    if (b.parent) point = b.parent.toLocal(point) || point;
+    return point;
   }
 
   //Some extra conveniences for working with child sprites
@@ -265,6 +406,7 @@ class DisplayObject {
       //Swap the array positions
       this.children[index1] = child2;
       this.children[index2] = child1;
+      markCacheDirty(this);
     } else {
       throw new Error(`Both objects must be a child of the caller ${this}`);
     }
@@ -388,6 +530,78 @@ class DisplayObject {
   }
 }
 
+//`markCacheDirty` marks the bitmap caches of a sprite and all its
+//parents as out of date, and `invalidateParents` just marks its parents
+function markCacheDirty(sprite) {
+  for (let o = sprite; o; o = o.parent) o._cacheDirty = true;
+}
+function invalidateParents(sprite) {
+  if (sprite.parent) markCacheDirty(sprite.parent);
+}
+
+//`trackProperties` turns properties into getters and setters that
+//store their values in "private" properties, like `_x`. When a value
+//changes, `changed` is called with the sprite
+function trackProperties(names, changed) {
+  names.forEach(name => {
+    let key = "_" + name;
+    Object.defineProperty(DisplayObject.prototype, name, {
+      get() {
+        return this[key];
+      },
+      set(value) {
+        if (value !== this[key]) {
+          this[key] = value;
+          changed(this);
+        }
+      },
+      enumerable: true,
+      configurable: true
+    });
+  });
+}
+
+//Changing the position, rotation, scale or pivot point changes the
+//sprite's `localTransform`, and the way its parent looks
+trackProperties(
+  ["x", "y", "rotation", "scaleX", "scaleY", "pivotX", "pivotY"],
+  sprite => {
+    sprite._localTransform = undefined;
+    invalidateParents(sprite);
+  }
+);
+
+//Changing the size changes the `localTransform` (because the pivot
+//point moves) and the way the sprite looks
+trackProperties(
+  ["width", "height"],
+  sprite => {
+    sprite._localTransform = undefined;
+    sprite.invalidateCache();
+  }
+);
+
+//A sprite's own `alpha` and `visible` properties are applied when its
+//bitmap cache is displayed, so they only change the way its parent looks
+trackProperties(
+  ["alpha", "visible"],
+  sprite => {
+    invalidateParents(sprite);
+  }
+);
+
+//The properties that change the way the sprites draw themselves
+trackProperties(
+  [
+    "fillStyle", "strokeStyle", "lineWidth", "lineJoin", "content",
+    "font", "textBaseline", "strokeText", "ax", "ay", "bx", "by",
+    "source", "sourceX", "sourceY", "sourceWidth", "sourceHeight",
+    "mask", "shadow", "shadowColor", "shadowOffsetX", "shadowOffsetY",
+    "shadowBlur", "blendMode"
+  ],
+  sprite => sprite.invalidateCache()
+);
+
 /*
 Stage
 ---------
@@ -415,13 +629,24 @@ Optionally customize the canvas with a configuration object:
       border: "none",
       backgroundColor: "black"
     });
+
+The last argument chooses the canvas's renderer. It can be "canvas"
+(the default) or "webgl":
+
+    let canvas = makeCanvas(512, 512, "none", "black", "webgl");
+
+A WebGL canvas doesn't have a `ctx`. Its WebGL context is `canvas.gl`.
+If the browser doesn't support WebGL, you get an ordinary canvas with
+the "canvas" renderer instead.
 */
 
 export function makeCanvas(
   width = 256, height = 256, 
   border = "1px dashed black", 
-  backgroundColor = "white"
+  backgroundColor = "white",
+  renderer = "canvas"
 ) {
+  checkRendererName(renderer);
 
   //Make the canvas element and add it to the DOM
   let canvas = document.createElement("canvas");
@@ -431,13 +656,107 @@ export function makeCanvas(
   canvas.style.backgroundColor = backgroundColor;
   document.body.appendChild(canvas);
 
-  //Create the context as a property of the canvas
-  canvas.ctx = canvas.getContext("2d");
+  //Try to get a WebGL context if the WebGL renderer was chosen
+  let gl;
+  if (renderer === "webgl") {
+    gl = canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+  }
+
+  if (gl) {
+    canvas.gl = gl;
+    canvas.renderer = webglRenderer(webglBackend(gl));
+  } else {
+
+    //Create the context as a property of the canvas
+    canvas.ctx = canvas.getContext("2d");
+    canvas.renderer = canvasRenderer();
+  }
 
   //Return the canvas
   return canvas;
 }
 
+//`checkRendererName` throws an error if a renderer name isn't
+//"canvas" or "webgl"
+function checkRendererName(renderer) {
+  if (renderer !== "canvas" && renderer !== "webgl") {
+    throw new Error(`${renderer} is not a renderer. Use "canvas" or "webgl"`);
+  }
+}
+
+/*
+makeHeadlessCanvas
+------------------
+
+Make a stand-in canvas that doesn't need a browser. It has `width`,
+`height` and `style` properties, and a `ctx` whose drawing methods
+don't do anything. Its `getImageData` method returns transparent
+pixels, and `createPattern` returns a pattern that doesn't draw
+anything. Use it to run your game's logic in a headless
+environment, like Node, for automated testing:
+
+    let canvas = makeHeadlessCanvas(512, 512);
+
+Choose the "webgl" renderer to test a WebGL game without a browser:
+
+    let canvas = makeHeadlessCanvas(512, 512, "webgl");
+
+It uses the WebGL renderer with a software backend, which draws the
+sprites into an array of pixels instead of a WebGL context. Read the
+pixels with `canvas.renderer.backend.readPixels()`. There are two
+things to keep in mind:
+
+- The WebGL renderer ignores `canvas.dirtyRectangles`, and redraws
+  the whole canvas every frame.
+- Sprites that aren't images, like shapes and text, are drawn into
+  headless canvases, which don't have any pixels that the software
+  backend can read. So they're drawn as white boxes the size of the
+  sprite. Image sprites are drawn properly if their images have an
+  `imageData` property (see `softwareBackend`).
+
+*/
+
+export function makeHeadlessCanvas(width = 256, height = 256, renderer = "canvas") {
+  checkRendererName(renderer);
+
+  //Create a context with empty drawing methods
+  let ctx = {};
+  [
+    "save", "restore", "translate", "rotate", "scale", "transform",
+    "setTransform", "clearRect", "fillRect", "strokeRect",
+    "beginPath", "closePath", "rect", "arc", "moveTo", "lineTo",
+    "quadraticCurveTo", "bezierCurveTo", "stroke", "fill", "clip",
+    "fillText", "strokeText", "drawImage", "putImageData"
+  ].forEach(method => ctx[method] = () => {});
+
+  //Text can't be measured without a browser, so its width is 0
+  ctx.measureText = () => ({width: 0});
+
+  //Nothing is drawn, so reading the pixels gives back transparent
+  //black pixels, in an object that looks like an `ImageData`
+  ctx.getImageData = (x, y, width, height) => ({
+    width, height,
+    data: new Uint8ClampedArray(width * height * 4)
+  });
+
+  //Patterns can be made, but they don't draw anything
+  ctx.createPattern = () => ({setTransform() {}});
+
+  //Return an object that looks enough like a canvas for
+  //the rendering functions to use it
+  let canvas = {width, height, style: {}, ctx};
+  canvas.getContext = () => ctx;
+  ctx.canvas = canvas;
+
+  //Give it a renderer
+  if (renderer === "webgl") {
+    canvas.renderer = webglRenderer(softwareBackend());
+  } else {
+    canvas.renderer = canvasRenderer();
+  }
+  return canvas;
+}
+
 /*
 Rectangle
 ---------
@@ -610,6 +929,102 @@ export function line(strokeStyle, lineWidth, ax, ay, bx, by) {
   return sprite;
 }
 
+/*
+Polygon
+------
+
+A Polygon class. The `points` are an array of objects with `x` and `y`
+properties that describe the polygon's outline. They're shifted so
+that the top left corner of their bounding box is the sprite's `x` and
+`y` position, and the sprite's `width` and `height` are set to the size of
+that bounding box. The points should describe a convex shape if you
+want to use the polygon for collision
+*/
+
+class Polygon extends DisplayObject {
+  constructor(
+    points = [{x: 0, y: 0}, {x: 32, y: 0}, {x: 16, y: 32}],
+    fillStyle = "gray",
+    strokeStyle = "none",
+    lineWidth = 0,
+    x = 0,
+    y = 0
+  ){
+    //Call the DisplayObject's constructor
+    super();
+
+    //Assign the argument values to this sprite
+    Object.assign(
+      this, {fillStyle, strokeStyle, lineWidth, x, y}
+    );
+
+    //Use the `points` setter to find the polygon's `width` and `height`
+    this.points = points;
+
+    //The `lineJoin` style.
+    //Options are "round", "mitre" and "bevel".
+    this.lineJoin = "round";
+
+    //Add a `mask` property to enable optional masking
+    this.mask = false;
+  }
+
+  get points() {
+    return this._points;
+  }
+  set points(value) {
+    //Find the top left corner of the points' bounding box
+    let left = Math.min(...value.map(point => point.x)),
+        top = Math.min(...value.map(point => point.y));
+
+    //Copy the points so that the top left corner is at 0,0
+    this._points = value.map(point => {
+      return {x: point.x - left, y: point.y - top};
+    });
+
+    //Set the sprite's size to the size of the bounding box
+    this.width = Math.max(...this._points.map(point => point.x));
+    this.height = Math.max(...this._points.map(point => point.y));
+    this.invalidateCache();
+  }
+
+  //The `render` method explains how to draw the sprite
+  render(ctx) {
+    ctx.strokeStyle = this.strokeStyle;
+    ctx.lineWidth = this.lineWidth;
+    ctx.lineJoin = this.lineJoin;
+    ctx.fillStyle = this.fillStyle;
+    ctx.beginPath();
+
+    //Draw the points around the sprite's `pivotX` and `pivotY` point
+    this.points.forEach((point, index) => {
+      let x = point.x - this.width * this.pivotX,
+          y = point.y - this.height * this.pivotY;
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.closePath();
+    if (this.strokeStyle !== "none") ctx.stroke();
+    if (this.fillStyle !== "none") ctx.fill();
+    if (this.mask && this.mask === true) ctx.clip();
+  }
+}
+
+//A higher level wrapper for the polygon sprite
+export function polygon(points, fillStyle, strokeStyle, lineWidth, x, y) {
+  //Create the sprite
+  let sprite = new Polygon(points, fillStyle, strokeStyle, lineWidth, x, y);
+
+  //Add the sprite to the stage
+  stage.addChild(sprite);
+
+  //Return the sprite to the main program
+  return sprite;
+}
+
 /*
 Text
 ------
@@ -702,6 +1117,7 @@ class Group extends DisplayObject {
     }
     sprite.parent = this;
     this.children.push(sprite);
+    markCacheDirty(this);
 
     //Figure out the new size of the group
     this.calculateSize();
@@ -710,6 +1126,7 @@ class Group extends DisplayObject {
   removeChild(sprite) {
     if(sprite.parent === this) {
       this.children.splice(this.children.indexOf(sprite), 1);
+      markCacheDirty(this);
 
       //Figure out the new size of the group
       this.calculateSize();
@@ -804,6 +1221,19 @@ export function group(...spritesToGroup) {
   return sprite;
 }
 
+/*
+isImage
+-------
+
+Returns `true` if the source is an `Image` object. It checks that
+`Image` exists first, so that sprites made from texture atlas frames
+can also be used outside the browser, in a headless game
+*/
+
+function isImage(source) {
+  return typeof Image !== "undefined" && source instanceof Image;
+}
+
 /*
 Sprite
 ---------
@@ -826,7 +1256,7 @@ class Sprite extends DisplayObject {
     //We need to figure out what the source is, and then use
     //use that source data to display the sprite image correctly
     //Is the source a JavaScript Image object?
-    if(source instanceof Image) {
+    if(isImage(source)) {
       this.createFromImage(source); 
     }
     //Is the source a tileset from a texture atlas?
@@ -853,7 +1283,7 @@ class Sprite extends DisplayObject {
         this.createFromAtlasFrames(source);
       }
       //It must be an array of image objects
-      else if (source[0] instanceof Image){
+      else if (isImage(source[0])){
         this.createFromImages(source);
       } 
       //throw an error if the sources in the array aren't recognized
@@ -868,7 +1298,7 @@ class Sprite extends DisplayObject {
   }
   createFromImage(source) {
     //Throw an error if the source is not an Image object
-    if (!(source instanceof Image)) {
+    if (!isImage(source)) {
       throw new Error(`${source} is not an image object`);
     } else {
       this.source = source;
@@ -892,7 +1322,7 @@ class Sprite extends DisplayObject {
   }
   createFromTileset(source) {
     //Throw an error if the source is not an image object
-    if (!(source.image instanceof Image)) {
+    if (!isImage(source.image)) {
       throw new Error(`${source.image} is not an image object`);
     } else {
       this.source = source.image;
@@ -906,7 +1336,7 @@ class Sprite extends DisplayObject {
   }
   createFromTilesetFrames(source) {
     //Throw an error if the source is not an Image object
-    if (!(source.image instanceof Image)) {
+    if (!isImage(source.image)) {
       throw new Error(`${source.image} is not an image object`);
     } else {
       this.source = source.image;
@@ -1212,6 +1642,337 @@ export function filmstrip(image, frameWidth, frameHeight, spacing = 0){
 };
 
 
+/*
+tiledWorld
+----------
+
+Builds a game world from a Tiled Editor map (https://www.mapeditor.org).
+Save the map in Tiled's JSON format (.tmj or .json) with JSON tilesets
+(.tsj or .json), and load it with `assets.load`. The `assets` object loads
+the tileset images for you. Then make the world like this:
+
+    let world = tiledWorld(assets["maps/level1.tmj"]);
+
+`tiledWorld` returns a `group` that contains a group for each of the
+map's layers. Tile layers contain a sprite for each tile. Object layers
+contain sprites for any tile objects, and all the layer's objects are
+stored in the world's `objects` array.
+
+The world has these properties and methods:
+
+- `tilewidth`, `tileheight`, `widthInTiles`, `heightInTiles`
+- `properties`: The map's custom properties, as an ordinary object.
+- `layers`: All the layer groups. Each one has a `name`, `type`
+  ("tilelayer", "objectgroup" or "group") and `properties`. Tile layers also have
+  a `data` array of tile gids.
+- `objects`: All the objects in the object layers. Each object has
+  a `properties` object, and a `sprite` if it's a tile object.
+- `getLayer(name)`: Returns the layer with that name.
+- `getObject(name)`: Returns the first object with that name.
+- `getObjects(name)`: Returns all the objects with that name or type.
+- `getTile(x, y, layer)`: Returns information about the tile at a
+  position, in pixels, in the world. `layer` is a layer name or a layer
+  group. If you leave it out, every tile layer is checked, from the top
+  down, and you get the top-most tile that collides, or that has a
+  `oneWay`, `slopeLeft` or `slopeRight` property. If none of them do, you
+  get the top-most tile. That means decoration layers drawn over the
+  ground don't hide the solid tiles underneath.
+  It returns `undefined` if there's no tile there. Otherwise it returns an
+  object with these properties: `gid`, `index`, `column`, `row`, `x`, `y`,
+  `width`, `height`, `layer`, `sprite`, `properties` and `collision`.
+- `getTiles(x, y, layer)`: Returns an array of all the tiles at a
+  position, from the top layer down. (If you give it a `layer`, there's
+  only one.)
+
+A tile's `collision` is `true` if the tile has a custom `collision` or
+`collides` property that's `true`, if you've drawn collision shapes on it
+in Tiled's collision editor, or if its layer has a `collision` property
+that's `true`.
+*/
+
+export function tiledWorld(map) {
+  let world = group(),
+      tileInfoCache = {};
+
+  Object.assign(world, {
+    map: map,
+    tilewidth: map.tilewidth,
+    tileheight: map.tileheight,
+    widthInTiles: map.width,
+    heightInTiles: map.height,
+    properties: tiledProperties(map.properties),
+    layers: [],
+    objects: [],
+
+    getLayer(name) {
+      return world.layers.find(layer => layer.name === name);
+    },
+
+    getObject(name) {
+      return world.objects.find(object => object.name === name);
+    },
+
+    getObjects(name) {
+      return world.objects.filter(object => {
+        return object.name === name || object.type === name || object.class === name;
+      });
+    },
+
+    getTile(x, y, layer) {
+      let tiles = world.getTiles(x, y, layer);
+      if (layer !== undefined) return tiles[0];
+
+      //Prefer tiles that the collision functions use
+      return tiles.find(tile => {
+        let properties = tile.properties;
+        return tile.collision
+          || properties.oneWay
+          || properties.slopeLeft !== undefined
+          || properties.slopeRight !== undefined;
+      }) || tiles[0];
+    },
+
+    getTiles(x, y, layer) {
+      let column = Math.floor(x / world.tilewidth),
+          row = Math.floor(y / world.tileheight),
+          tiles = [];
+
+      //Is the position outside the map?
+      if (column < 0 || column >= world.widthInTiles || row < 0 || row >= world.heightInTiles) {
+        return tiles;
+      }
+
+      //Find the layers to search
+      let layers;
+      if (layer === undefined) {
+        //Search from the top layer down
+        layers = world.layers.filter(layer => layer.type === "tilelayer").reverse();
+      } else {
+        if (typeof layer === "string") layer = world.getLayer(layer);
+        if (!layer || layer.type !== "tilelayer") {
+          throw new Error(`${layer} is not a tile layer`);
+        }
+        layers = [layer];
+      }
+
+      let index = row * world.widthInTiles + column;
+      for (let i = 0; i < layers.length; i++) {
+        let gid = layers[i].data[index];
+        if (gid) {
+          let info = tileInfo(gid);
+          tiles.push({
+            gid: info.gid,
+            index: index,
+            column: column,
+            row: row,
+            x: column * world.tilewidth,
+            y: row * world.tileheight,
+            width: world.tilewidth,
+            height: world.tileheight,
+            layer: layers[i],
+            sprite: layers[i].tiles[index],
+            properties: info.properties,
+            collision: info.collision || layers[i].properties.collision === true
+          });
+        }
+      }
+      return tiles;
+    }
+  });
+
+  //Make all the layers
+  map.layers.forEach(layerData => makeLayer(layerData, world));
+
+  return world;
+
+  //`makeLayer` makes a group for a layer and adds it to its parent
+  function makeLayer(layerData, parent) {
+    let layer = group();
+    Object.assign(layer, {
+      name: layerData.name,
+      type: layerData.type,
+      properties: tiledProperties(layerData.properties),
+      x: layerData.offsetx || 0,
+      y: layerData.offsety || 0,
+      visible: layerData.visible !== false,
+      alpha: layerData.opacity !== undefined ? layerData.opacity : 1
+    });
+    parent.addChild(layer);
+    world.layers.push(layer);
+
+    if (layerData.type === "tilelayer") {
+      if (layerData.chunks) {
+        throw new Error(`Infinite Tiled maps aren't supported. Turn off "Infinite" in the map's properties`);
+      }
+      layer.data = tileData(layerData);
+
+      //The tile sprites, stored by their index in the `data` array
+      layer.tiles = [];
+
+      layer.data.forEach((gid, index) => {
+        if (gid === 0) return;
+        let column = index % map.width,
+            row = Math.floor(index / map.width),
+            sprite = tileSprite(gid);
+
+        //Tiles that are taller than the map's tiles are aligned to
+        //the bottom of their cell
+        sprite.x = column * map.tilewidth;
+        sprite.y = (row + 1) * map.tileheight - sprite.height;
+        sprite.index = index;
+        layer.addChild(sprite);
+        layer.tiles[index] = sprite;
+      });
+    }
+
+    else if (layerData.type === "objectgroup") {
+      layer.objects = layerData.objects.map(objectData => {
+        let object = Object.assign({}, objectData, {
+          properties: tiledProperties(objectData.properties)
+        });
+
+        //Tile objects get a sprite. Their `x` and `y` position is the
+        //bottom left corner of the tile, and Tiled rotates them around
+        //that corner. The sprite rotates around its pivot point, so
+        //move it to where its pivot would be after Tiled's rotation
+        if (object.gid) {
+          let sprite = tileSprite(object.gid);
+          sprite.width = object.width || sprite.width;
+          sprite.height = object.height || sprite.height;
+          sprite.rotation = (object.rotation || 0) * Math.PI / 180;
+          let pivotX = sprite.width * sprite.pivotX,
+              pivotY = sprite.height * sprite.pivotY - sprite.height,
+              cos = Math.cos(sprite.rotation),
+              sin = Math.sin(sprite.rotation);
+          sprite.x = object.x + pivotX * cos - pivotY * sin - sprite.width * sprite.pivotX;
+          sprite.y = object.y + pivotX * sin + pivotY * cos - sprite.height * sprite.pivotY;
+          sprite.name = object.name;
+          sprite.visible = object.visible !== false;
+          layer.addChild(sprite);
+          object.sprite = sprite;
+        }
+        world.objects.push(object);
+        return object;
+      });
+    }
+
+    else if (layerData.type === "group") {
+      layerData.layers.forEach(childData => makeLayer(childData, layer));
+    }
+
+    //(Image layers aren't supported)
+  }
+
+  //`tileData` returns a layer's tile gids as an array. The gids can
+  //be stored as an array or as uncompressed base64
+  function tileData(layerData) {
+    if (layerData.encoding === "base64") {
+      if (layerData.compression) {
+        throw new Error(`Compressed Tiled layers aren't supported. Use "CSV" or "Base64 (uncompressed)" layer format`);
+      }
+
+      //Each gid is a 4 byte, little-endian unsigned integer
+      let bytes = atob(layerData.data),
+          data = [];
+      for (let i = 0; i < bytes.length; i += 4) {
+        data.push((
+          bytes.charCodeAt(i)
+          | bytes.charCodeAt(i + 1) << 8
+          | bytes.charCodeAt(i + 2) << 16
+          | bytes.charCodeAt(i + 3) << 24
+        ) >>> 0);
+      }
+      return data;
+    }
+    return layerData.data;
+  }
+
+  //`tileInfo` finds the tileset, properties and collision flag of a
+  //tile gid
+  function tileInfo(gid) {
+    //Remove the flags that Tiled uses to flip tiles
+    let id = gid & 0x1FFFFFFF;
+
+    if (!tileInfoCache[id]) {
+
+      //Find the tileset that the tile belongs to. It's the tileset
+      //with the highest `firstgid` that's less than or equal to the gid
+      let tileset;
+      map.tilesets.forEach(set => {
+        if (set.firstgid <= id && (!tileset || set.firstgid > tileset.firstgid)) {
+          tileset = set;
+        }
+      });
+      if (!tileset) throw new Error(`There's no tileset for the tile gid ${id}`);
+
+      //Find any extra data that's been added to the tile in Tiled
+      let localId = id - tileset.firstgid,
+          tile = (tileset.tiles || []).find(tile => tile.id === localId) || {},
+          properties = tiledProperties(tile.properties),
+          collision = properties.collision === true
+            || properties.collides === true
+            || (tile.objectgroup !== undefined && tile.objectgroup.objects.length > 0);
+
+      tileInfoCache[id] = {gid: id, tileset, localId, tile, properties, collision};
+    }
+    return tileInfoCache[id];
+  }
+
+  //`tileSprite` makes a sprite for a tile gid
+  function tileSprite(gid) {
+    let info = tileInfo(gid),
+        tileset = info.tileset,
+        sprite;
+
+    //Tilesets made from a single image
+    if (tileset.texture) {
+      let margin = tileset.margin || 0,
+          spacing = tileset.spacing || 0,
+          column = info.localId % tileset.columns,
+          row = Math.floor(info.localId / tileset.columns);
+      sprite = new Sprite(frame(
+        tileset.texture,
+        margin + column * (tileset.tilewidth + spacing),
+        margin + row * (tileset.tileheight + spacing),
+        tileset.tilewidth,
+        tileset.tileheight
+      ));
+    }
+
+    //Tilesets made from a collection of images
+    else if (info.tile.texture) {
+      sprite = new Sprite(info.tile.texture);
+    }
+
+    else {
+      throw new Error(`The image for the tile gid ${info.gid} hasn't been loaded`);
+    }
+
+    sprite.gid = info.gid;
+    sprite.properties = info.properties;
+    sprite.collision = info.collision;
+
+    //Flip the sprite if the tile's been flipped in Tiled.
+    //(Tiles that have been flipped diagonally aren't supported)
+    if (gid & 0x80000000) sprite.scaleX = -1;
+    if (gid & 0x40000000) sprite.scaleY = -1;
+
+    return sprite;
+  }
+}
+
+//`tiledProperties` converts Tiled's custom properties into an ordinary
+//object. Tiled stores them as an array of `{name, type, value}` objects,
+//or, in older versions, as an object
+function tiledProperties(properties) {
+  if (!properties) return {};
+  if (!(properties instanceof Array)) return Object.assign({}, properties);
+  let object = {};
+  properties.forEach(property => object[property.name] = property.value);
+  return object;
+}
+
+
 /*
 remove
 -------
@@ -1479,182 +2240,1595 @@ Use it inside a game loop to render the sprites like this:
 
     render(canvasContext);
 
+Sprites that are outside the canvas aren't drawn. (Their children
+are still checked, because they could be displayed somewhere else).
+
+If most of your game doesn't move, like a puzzle or board game,
+you can switch on the dirty rectangle renderer:
+
+    canvas.dirtyRectangles = true;
+
+It only clears and redraws the parts of the canvas where sprites
+have changed since the last frame, which is much faster on slow
+devices. The sprites' property setters record when their position,
+transformation, alpha, visibility or appearance (like `fillStyle` or
+`content`) changes, so the renderer only has to look at those records
+instead of comparing every property. If you change a sprite in a way
+that it can't see, like changing the pixels of its image or a custom
+property that its `render` method uses, call `sprite.invalidateCache()`
+to redraw that sprite, or `redraw(canvas)` to redraw the whole canvas
+in the next frame. The areas that were redrawn in the last frame are
+stored in the canvas's `dirtyAreas` array.
+
+If the canvas has a `renderer`, like a WebGL renderer, `render` asks
+the renderer to draw the sprites. (See the `Renderers` section below.)
+
 */
 
 export function render(canvas) {
 
+  //Let the canvas's renderer draw the sprites if it has one
+  if (canvas.renderer) {
+    canvas.renderer.render(canvas);
+  } else {
+    renderCanvas(canvas);
+  }
+}
+
+//`renderCanvas` draws the sprites with the canvas's 2D context
+function renderCanvas(canvas) {
+
+  //Use the dirty rectangle renderer if it's switched on
+  if (canvas.dirtyRectangles) {
+    renderDirtyRectangles(canvas);
+    return;
+  }
+
   //Get a reference to the context
   let ctx = canvas.ctx;
 
   //Clear the canvas
   ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+  //Display all the sprites
+  displaySprites(canvas);
+}
+
+//`displaySprites` displays all the sprites on the stage. If `areas`
+//are supplied, only the sprites that overlap those areas of the canvas
+//are drawn. If a `lagOffset` is supplied, the sprites are drawn at
+//their interpolated positions
+function displaySprites(canvas, areas, lagOffset) {
+  let options = {
+    screen: {x: 0, y: 0, width: canvas.width, height: canvas.height},
+    areas: areas,
+    lagOffset: lagOffset
+  };
+
   //Loop through each sprite object in the stage's `children` array
   stage.children.forEach(sprite => {
 
     //Display a sprite 
-    displaySprite(sprite);
+    displaySprite(canvas.ctx, sprite, new Matrix(), stage.alpha, options);
   });
+}
 
-  function displaySprite(sprite) {
-
-    //Only display the sprite if it's visible
-    //and within the area of the canvas
-    if (
-      sprite.visible
-      && sprite.gx < canvas.width + sprite.width
-      && sprite.gx + sprite.width >= -sprite.width
-      && sprite.gy < canvas.height + sprite.height
-      && sprite.gy + sprite.height >= -sprite.height
-    ) {
-
-      //Save the canvas's present state
-      ctx.save();
-
-      //Shift the canvas to the center of the sprite's position
-      ctx.translate(
-        sprite.x + (sprite.width * sprite.pivotX),
-        sprite.y + (sprite.height * sprite.pivotY)
-      );
-
-      //Set the sprite's `rotation`, `alpha` and `scale`
-      ctx.rotate(sprite.rotation);
-      ctx.globalAlpha = sprite.alpha * sprite.parent.alpha;
-      ctx.scale(sprite.scaleX, sprite.scaleY);
-
-      //Display the sprite's optional drop shadow
-      if(sprite.shadow) {
-        ctx.shadowColor = sprite.shadowColor;
-        ctx.shadowOffsetX = sprite.shadowOffsetX;
-        ctx.shadowOffsetY = sprite.shadowOffsetY;
-        ctx.shadowBlur = sprite.shadowBlur;
-      }
-
-      //Display the optional blend mode
-      if (sprite.blendMode) ctx.globalCompositeOperation = sprite.blendMode;
+//`displaySprite` displays a sprite and its children. The
+//`parentMatrix` and `parentAlpha` are the world matrix and alpha of
+//the sprite's parent
+function displaySprite(ctx, sprite, parentMatrix, parentAlpha, options) {
+
+  //Only display the sprite if it's visible
+  if (!sprite.visible) return;
+
+  //If the sprite is a world with a camera, display it
+  //through the camera
+  let matrix = parentMatrix;
+  if (sprite.camera) matrix = matrix.multiply(sprite.camera.transform);
+
+  //Combine the parent's matrix with the sprite's position (or its
+  //interpolated position), `rotation` and `scale` to find the
+  //sprite's world matrix
+  let position = renderPosition(sprite, options.lagOffset);
+  matrix = matrix.multiply(localMatrix(sprite, position.x, position.y));
+
+  //If the sprite is cached as a bitmap, make sure the cache is up
+  //to date
+  let cache = sprite.cacheAsBitmap ? updateCache(sprite) : undefined;
+
+  //Find out if the sprite is within the area of the canvas (and
+  //the areas that are being redrawn)
+  let area = cache ? cacheArea(cache, matrix) : drawnArea(sprite, matrix),
+      onScreen = overlaps(area, options.screen)
+        && (!options.areas || options.areas.some(dirtyArea => overlaps(area, dirtyArea))),
+      hasChildren = !cache && sprite.children && sprite.children.length > 0;
+
+  //If it isn't, there's nothing to draw, unless it has children. (A
+  //sprite with a `mask` clips its children, so they can't be seen either)
+  if (!onScreen && (!hasChildren || sprite.mask)) return;
+
+  //Save the canvas's present state
+  ctx.save();
+
+  //Set the sprite's `alpha`
+  let alpha = parentAlpha * sprite.alpha;
+  ctx.globalAlpha = alpha;
+
+  //Display the optional blend mode
+  if (sprite.blendMode) ctx.globalCompositeOperation = sprite.blendMode;
+
+  //If the sprite is cached, display the cached image instead of the
+  //sprite and its children. (The shadow is already in the image)
+  if (cache) {
+    if (cache.canvas) {
+      ctx.setTransform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.tx, matrix.ty);
+      ctx.drawImage(cache.canvas, cache.x, cache.y);
+    }
+  } else {
 
-      //Use the sprite's own `render` method to draw the sprite
-      if (sprite.render) sprite.render(ctx);
+    //Shift the canvas to the sprite's pivot point, where the
+    //sprite's `render` method draws it
+    setTransform(ctx, matrix, sprite);
 
-      //If the sprite contains child sprites in its
-      //`children` array, display them by recursively calling this very same
-      //`displaySprite` function again
+    //Display the sprite's optional drop shadow
+    if(sprite.shadow) {
+      ctx.shadowColor = sprite.shadowColor;
+      ctx.shadowOffsetX = sprite.shadowOffsetX;
+      ctx.shadowOffsetY = sprite.shadowOffsetY;
+      ctx.shadowBlur = sprite.shadowBlur;
+    }
 
-      if (sprite.children && sprite.children.length > 0) {
+    //Use the sprite's own `render` method to draw the sprite
+    if (onScreen && sprite.render) sprite.render(ctx);
 
-        //Reset the context back to the parent sprite's top left corner,
-        //relative to the pivot point
-        ctx.translate(-sprite.width * sprite.pivotX , -sprite.height * sprite.pivotY);
+    //If the sprite contains child sprites in its
+    //`children` array, display them by recursively calling this very same
+    //`displaySprite` function again
 
-        //Loop through the parent sprite's children
-        sprite.children.forEach(child => {
+    if (hasChildren) {
 
-          //display the child
-          displaySprite(child);
-        });
-      }
+      //Loop through the parent sprite's children. They're
+      //displayed using this sprite's world matrix
+      sprite.children.forEach(child => {
 
-      //Restore the canvas to its previous state
-      ctx.restore();
+        //display the child
+        displaySprite(ctx, child, matrix, alpha, options);
+      });
     }
   }
+
+  //Restore the canvas to its previous state
+  ctx.restore();
 }
 
-/*
-renderWithInterpolation
--------
+//`renderPosition` returns the position to draw a sprite at. If a
+//`lagOffset` is supplied, it's the sprite's interpolated position
+function renderPosition(sprite, lagOffset) {
+  if (lagOffset === undefined) return {x: sprite.x, y: sprite.y};
+  if (sprite.previousX !== undefined) {
+    sprite.renderX = (sprite.x - sprite.previousX) * lagOffset + sprite.previousX;
+  } else {
+    sprite.renderX = sprite.x;
+  }
+  if (sprite.previousY !== undefined) {
+    sprite.renderY = (sprite.y - sprite.previousY) * lagOffset + sprite.previousY;
+  } else {
+    sprite.renderY = sprite.y;
+  }
+  return {x: sprite.renderX, y: sprite.renderY};
+}
 
-A render function that displays all the sprites on the canvas.
-It's the same as the ordinary `render` function, but interpolates the
-sprite positions for use with a fixed-timestep-variable-render game loop.
-Use it inside a game loop to render the sprites like this:
+//`updateCache` redraws a sprite's bitmap cache if it's missing or
+//out of date, and returns it. It's out of date if `invalidateCache`
+//has been called since it was drawn
+function updateCache(sprite) {
+  let cache = sprite._cache;
+  if (cache && !sprite._cacheDirty) return cache;
+
+  //Anything that changes while the cache is being drawn, like text
+  //that measures its size, makes it out of date again
+  sprite._cacheDirty = false;
+
+  //Find the area that the sprite and its children cover, measured
+  //from the sprite's top left corner
+  let bounds;
+  measure(sprite, new Matrix());
+  function measure(o, matrix) {
+    if (!o.visible) return;
+    let area = drawnArea(o, matrix);
+    if (area) {
+      if (!bounds) {
+        bounds = area;
+      } else {
+        let left = Math.min(bounds.x, area.x),
+            top = Math.min(bounds.y, area.y);
+        bounds = {
+          x: left,
+          y: top,
+          width: Math.max(bounds.x + bounds.width, area.x + area.width) - left,
+          height: Math.max(bounds.y + bounds.height, area.y + area.height) - top
+        };
+      }
+    }
+    if (!o.mask) {
+      o.children.forEach(child => {
+        measure(child, matrix.multiply(localMatrix(child, child.x, child.y)));
+      });
+    }
+  }
 
-    renderWithInterpolation(canvasContext, lagOffset);
+  cache = {canvas: undefined, x: 0, y: 0};
+
+  //Draw the sprite and its children into an offscreen canvas
+  //that's just big enough to hold them
+  if (bounds && bounds.width > 0 && bounds.height > 0) {
+    cache.x = Math.floor(bounds.x);
+    cache.y = Math.floor(bounds.y);
+    let width = Math.ceil(bounds.x + bounds.width) - cache.x,
+        height = Math.ceil(bounds.y + bounds.height) - cache.y,
+        old = sprite._cache;
+
+    //Reuse the old canvas if it's the right size
+    if (old && old.canvas && old.canvas.width === width && old.canvas.height === height) {
+      cache.canvas = old.canvas;
+    } else {
+      cache.canvas = makeOffscreenCanvas(width, height);
+    }
+    let ctx = cache.canvas.ctx,
+        matrix = new Matrix(1, 0, 0, 1, -cache.x, -cache.y);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    //Draw the sprite itself
+    ctx.save();
+    renderInto(ctx, sprite, matrix);
+
+    //Draw its children
+    let options = {screen: {x: 0, y: 0, width: width, height: height}};
+    sprite.children.forEach(child => {
+      displaySprite(ctx, child, matrix, 1, options);
+    });
+    ctx.restore();
+  }
+
+  sprite._cache = cache;
+  return cache;
+}
+
+//`renderInto` draws a sprite, with its shadow, into a context, using
+//the `matrix` as its world matrix
+function renderInto(ctx, sprite, matrix) {
+  setTransform(ctx, matrix, sprite);
+  if(sprite.shadow) {
+    ctx.shadowColor = sprite.shadowColor;
+    ctx.shadowOffsetX = sprite.shadowOffsetX;
+    ctx.shadowOffsetY = sprite.shadowOffsetY;
+    ctx.shadowBlur = sprite.shadowBlur;
+  }
+  if (sprite.render) sprite.render(ctx);
+}
+
+//`cacheArea` returns the rectangle on the canvas that a cached
+//image covers
+function cacheArea(cache, matrix) {
+  if (!cache.canvas) return {x: 0, y: 0, width: 0, height: 0};
+  return transformedArea(
+    matrix,
+    cache.x, cache.y,
+    cache.x + cache.canvas.width, cache.y + cache.canvas.height
+  );
+}
+
+//`makeOffscreenCanvas` makes a canvas that isn't added to the page.
+//Without a browser, it makes a headless canvas
+function makeOffscreenCanvas(width, height) {
+  if (typeof document === "undefined") return makeHeadlessCanvas(width, height);
+  let canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.ctx = canvas.getContext("2d");
+  return canvas;
+}
+
+//`renderDirtyRectangles` only redraws the areas of the canvas where
+//sprites have changed since the last frame
+function renderDirtyRectangles(canvas) {
+  let ctx = canvas.ctx,
+      previous = canvas._dirtyState,
+      current = new Map(),
+      areas = [],
+      fullCanvas = {x: 0, y: 0, width: canvas.width, height: canvas.height};
+
+  //Add an area that needs to be redrawn. If a sprite's area isn't
+  //known, the whole canvas has to be redrawn
+  let addArea = area => areas.push(area || fullCanvas);
+
+  //Redraw the whole canvas in the first frame, if the canvas
+  //has changed size, or if the stage's alpha has changed
+  let redrawAll = !previous
+    || previous.width !== canvas.width
+    || previous.height !== canvas.height
+    || previous.alpha !== stage.alpha;
+  if (redrawAll) addArea(fullCanvas);
+
+  //Find the sprites that have changed. The setters of the properties
+  //that change how a sprite looks mark it as changed, so there's no need
+  //to compare all its properties
+  let previousSprites = redrawAll ? new Map() : previous.sprites;
+  describeChildren(stage, new Matrix(), false, false);
+
+  function describeChildren(parent, parentMatrix, parentMoved, parentChanged) {
+    let previousSibling = undefined;
+    parent.children.forEach(sprite => {
+      if (!sprite.visible) return;
+      let before = previousSprites.get(sprite),
+          local = sprite.localTransform,
+          cameraValues = sprite.camera ? matrixValues(sprite.camera.transform) : undefined,
+
+          //Has the sprite, or any of its parents, moved?
+          moved = parentMoved
+            || !before
+            || before.local !== local
+            || !sameCamera(before.cameraValues, cameraValues),
+
+          //Has anything else about the way it looks changed? (A sprite
+          //that's moved in front of or behind another one has changed, too)
+          changed = moved
+            || parentChanged
+            || before.version !== sprite._appearanceVersion
+            || before.alpha !== sprite.alpha
+            || before.previousSibling !== previousSibling;
+
+      let matrix, area;
+      if (moved) {
+        matrix = parentMatrix;
+        if (cameraValues) matrix = matrix.multiply(sprite.camera.transform);
+        matrix = matrix.multiply(local);
+      } else {
+        matrix = before.matrix;
+      }
+      area = changed ? drawnArea(sprite, matrix) : before.area;
 
+      if (!before) {
+        addArea(area);
+      } else if (changed) {
+        addArea(before.area);
+        addArea(area);
+      }
+
+      current.set(sprite, {
+        area, matrix, local, cameraValues, previousSibling,
+        version: sprite._appearanceVersion,
+        alpha: sprite.alpha
+      });
+      previousSibling = sprite;
+
+      //If the sprite has changed, its children have to be drawn again too
+      describeChildren(sprite, matrix, moved, changed);
+    });
+  }
+
+  //Redraw where sprites have been removed or hidden
+  previousSprites.forEach((before, sprite) => {
+    if (!current.has(sprite)) addArea(before.area);
+  });
+
+  //Remember the sprites for the next frame
+  canvas._dirtyState = {
+    sprites: current,
+    width: canvas.width,
+    height: canvas.height,
+    alpha: stage.alpha
+  };
+
+  //Round the areas out to whole pixels, with an extra pixel for
+  //anti-aliasing, keep them inside the canvas, and join the ones that overlap
+  canvas.dirtyAreas = mergeAreas(
+    areas
+      .map(area => {
+        let left = Math.max(0, Math.floor(area.x) - 1),
+            top = Math.max(0, Math.floor(area.y) - 1),
+            right = Math.min(canvas.width, Math.ceil(area.x + area.width) + 1),
+            bottom = Math.min(canvas.height, Math.ceil(area.y + area.height) + 1);
+        return {x: left, y: top, width: right - left, height: bottom - top};
+      })
+      .filter(area => area.width > 0 && area.height > 0)
+  );
+  if (canvas.dirtyAreas.length === 0) return;
+
+  //Clear the dirty areas, and clip the drawing to them
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.beginPath();
+  canvas.dirtyAreas.forEach(area => {
+    ctx.clearRect(area.x, area.y, area.width, area.height);
+    ctx.rect(area.x, area.y, area.width, area.height);
+  });
+  ctx.clip();
+
+  //Redraw the sprites that overlap them
+  displaySprites(canvas, canvas.dirtyAreas);
+  ctx.restore();
+}
+
+/*
+redraw
+------
+
+Make the dirty rectangle renderer redraw the whole canvas in the
+next frame.
 */
 
-export function renderWithInterpolation(canvas, lagOffset) {
+export function redraw(canvas) {
+  canvas._dirtyState = undefined;
+}
+
+//`matrixValues` returns the numbers in a matrix, and `sameCamera`
+//finds out if a camera's matrix is the same as it was
+function matrixValues(m) {
+  return [m.a, m.b, m.c, m.d, m.tx, m.ty];
+}
+function sameCamera(a, b) {
+  if (a === undefined || b === undefined) return a === b;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+//`mergeAreas` joins overlapping areas together so that none of them
+//overlap. It goes through the areas once. Each area is joined with
+//every merged area that it overlaps, and because the joined area is
+//bigger, it's checked against the merged areas again until it doesn't
+//overlap any of them
+function mergeAreas(areas) {
+  let merged = [];
+  areas.forEach(area => {
+    let i = 0;
+    while (i < merged.length) {
+      if (overlaps(merged[i], area)) {
+        area = union(area, merged[i]);
+
+        //Take the other area out of the list (by moving the last
+        //one into its place), and start checking again
+        merged[i] = merged[merged.length - 1];
+        merged.pop();
+        i = 0;
+      } else {
+        i += 1;
+      }
+    }
+    merged.push(area);
+  });
+  return merged;
+}
+
+/*
+renderBatched
+-------------
+
+A faster render function for scenes with lots of image sprites,
+like particles or tiles that use the same texture atlas. Use it
+instead of `render` in the game loop:
+
+    renderBatched(canvas);
+
+If you're using the game engine, tell it to use `renderBatched`
+like this:
+
+    g.render = g.renderBatched;
+
+To draw the sprites at their interpolated positions, supply the
+`lagOffset` as the second argument, just like
+`renderWithInterpolation`. With the engine, that looks like this:
+
+    g.renderWithInterpolation = g.renderBatched;
+
+It draws the same picture as `render`, but it draws the image sprites
+that use the same image together, so the 2D context can keep drawing
+from one texture atlas instead of switching between them. Image sprites
+are collected in a batch for each image. A sprite is moved into an
+earlier batch that uses its image only if it doesn't overlap any of the
+sprites that are drawn between them, so the sprites that overlap are
+still drawn in the same order as the display list. Image sprites also
+don't `save` and `restore` the canvas context. Instead, each sprite's
+world matrix is set with `setTransform`, and the `globalAlpha` is only
+changed when it's different to the last sprite's.
+
+Other sprites, like shapes and text, change the context's fill,
+stroke and font settings when they draw themselves, so their `render`
+method is wrapped in `save` and `restore`. Sprites that need their
+own canvas state for their children as well, like sprites with a shadow,
+a blend mode or a mask, and bitmap cached sprites, are drawn the
+ordinary way. Image sprites aren't moved past any of these sprites:
+the batches are drawn before them.
+
+After each frame, the canvas's `renderStats` object tells you how
+many sprites were `drawn`, how many `batches` of image sprites were
+drawn, and how many times the context's state was `saved`.
+*/
+
+export function renderBatched(canvas, lagOffset) {
+
+  //Let other renderers, like WebGL, draw the sprites their own way
+  if (canvas.renderer && canvas.renderer.type !== "canvas") {
+    canvas.renderer.render(canvas, lagOffset);
+    return;
+  }
 
   //Get a reference to the context
-  let ctx = canvas.ctx;
+  let ctx = canvas.ctx,
+      screen = {x: 0, y: 0, width: canvas.width, height: canvas.height},
+      stats = {drawn: 0, batches: 0, saved: 0},
+      currentAlpha = 1,
+
+      //The batches of image sprites that haven't been drawn yet. Each
+      //batch has an `image`, the `sprites` that use it, and the `area`
+      //that they cover
+      batches = [];
 
   //Clear the canvas
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
   ctx.clearRect(0, 0, canvas.width, canvas.height);
 
   //Loop through each sprite object in the stage's `children` array
   stage.children.forEach(sprite => {
-    //Display a sprite 
-    displaySprite(sprite);
+    drawSprite(sprite, new Matrix(), stage.alpha);
   });
 
-  function displaySprite(sprite) {
-    //Only display the sprite if it's visible
-    //and within the area of the canvas
-    if (
-      sprite.visible
-      && sprite.gx < canvas.width + sprite.width
-      && sprite.gx + sprite.width > -sprite.width
-      && sprite.gy < canvas.height + sprite.height
-      && sprite.gy + sprite.height > -sprite.height
-    ) {
-
-      //Save the canvas's present state
-      ctx.save();
-
-      //Interpolation
-      if (sprite.previousX !== undefined) {
-        sprite.renderX = (sprite.x - sprite.previousX) * lagOffset + sprite.previousX;
-      } else {
-        sprite.renderX = sprite.x;
+  //Draw the image sprites that are left
+  drawBatches();
+
+  canvas.renderStats = stats;
+
+  function drawSprite(sprite, parentMatrix, parentAlpha) {
+    if (!sprite.visible) return;
+
+    //Sprites that change the context's state are displayed the
+    //ordinary way, with `save` and `restore`
+    if (sprite.shadow || sprite.blendMode || sprite.mask || sprite.cacheAsBitmap) {
+      drawBatches();
+      displaySprite(ctx, sprite, parentMatrix, parentAlpha, {screen, lagOffset});
+      stats.drawn += 1;
+      stats.saved += 1;
+      return;
+    }
+
+    //Find the sprite's world matrix, using its interpolated
+    //position if there's a `lagOffset`, and its alpha
+    let matrix = parentMatrix,
+        position = renderPosition(sprite, lagOffset);
+    if (sprite.camera) matrix = matrix.multiply(sprite.camera.transform);
+    matrix = matrix.multiply(localMatrix(sprite, position.x, position.y));
+    let alpha = parentAlpha * sprite.alpha;
+
+    //Only draw the sprite if it's within the area of the canvas
+    let area = drawnArea(sprite, matrix);
+    if (sprite.render && overlaps(area, screen)) {
+
+      //Add image sprites to a batch
+      if (isImageSprite(sprite)) {
+        addToBatch({sprite, matrix, alpha, area});
       }
-      if (sprite.previousY !== undefined) {
-        sprite.renderY = (sprite.y - sprite.previousY) * lagOffset + sprite.previousY;
-      } else {
-        sprite.renderY = sprite.y;
+
+      //Other sprites use their own `render` method. Draw the image
+      //sprites that are in front of them first, and save and
+      //restore the context so that the styles they set don't change
+      //the sprites that are drawn after them
+      else {
+        drawBatches();
+        setAlpha(alpha);
+        ctx.save();
+        setTransform(ctx, matrix, sprite);
+        sprite.render(ctx);
+        ctx.restore();
+        stats.saved += 1;
       }
-      
-      //Draw the sprite at its interpolated position
-      ctx.translate(
-        sprite.renderX + (sprite.width * sprite.pivotX),
-        sprite.renderY + (sprite.height * sprite.pivotY)
-      );
-
-      //Set the sprite's `rotation`, `alpha` and `scale`
-      ctx.rotate(sprite.rotation);
-      ctx.globalAlpha = sprite.alpha * sprite.parent.alpha;
-      ctx.scale(sprite.scaleX, sprite.scaleY);
-
-      //Display the sprite's optional drop shadow
-      if(sprite.shadow) {
-        ctx.shadowColor = sprite.shadowColor;
-        ctx.shadowOffsetX = sprite.shadowOffsetX;
-        ctx.shadowOffsetY = sprite.shadowOffsetY;
-        ctx.shadowBlur = sprite.shadowBlur;
+      stats.drawn += 1;
+    }
+
+    //Draw the sprite's children
+    if (sprite.children.length > 0) {
+      sprite.children.forEach(child => drawSprite(child, matrix, alpha));
+    }
+  }
+
+  //`addToBatch` finds the batch that an image sprite can be drawn
+  //in. It looks back through the batches for one with the same image,
+  //but stops if the sprite overlaps a sprite in a batch with a
+  //different image, because the sprite has to be drawn after that one
+  function addToBatch(item) {
+    let image = item.sprite.source;
+    for (let i = batches.length - 1; i >= 0; i--) {
+      let batch = batches[i];
+      if (batch.image === image) {
+        batch.sprites.push(item);
+        batch.area = union(batch.area, item.area);
+        return;
       }
+      if (
+        overlaps(batch.area, item.area)
+        && batch.sprites.some(other => overlaps(other.area, item.area))
+      ) {
+        break;
+      }
+    }
+    batches.push({image, sprites: [item], area: item.area});
+  }
+
+  //`drawBatches` draws the image sprites in each batch, and empties
+  //the list of batches
+  function drawBatches() {
+    batches.forEach(batch => {
+      batch.sprites.forEach(({sprite, matrix, alpha}) => {
+        setAlpha(alpha);
+        ctx.setTransform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.tx, matrix.ty);
+        ctx.drawImage(
+          sprite.source,
+          sprite.sourceX, sprite.sourceY,
+          sprite.sourceWidth, sprite.sourceHeight,
+          0, 0,
+          sprite.width, sprite.height
+        );
+      });
+      stats.batches += 1;
+    });
+    batches = [];
+  }
 
-      //Display the optional blend mode
-      if (sprite.blendMode) ctx.globalCompositeOperation = sprite.blendMode;
+  //Only change the alpha if it's different
+  function setAlpha(alpha) {
+    if (alpha !== currentAlpha) {
+      ctx.globalAlpha = alpha;
+      currentAlpha = alpha;
+    }
+  }
+}
 
-      //Use the sprite's own `render` method to draw the sprite
-      if (sprite.render) sprite.render(ctx);
+//`union` returns the rectangle that covers two rectangles. If
+//either of them could be anywhere, so could the union
+function union(a, b) {
+  if (!a || !b) return undefined;
+  let left = Math.min(a.x, b.x),
+      top = Math.min(a.y, b.y);
+  return {
+    x: left,
+    y: top,
+    width: Math.max(a.x + a.width, b.x + b.width) - left,
+    height: Math.max(a.y + a.height, b.y + b.height) - top
+  };
+}
 
-      //If the sprite contains child sprites in its
-      //`children` array, display them by recursively calling this very same
-      //`displaySprite` function again
+//`isImageSprite` finds out if a sprite is an ordinary image sprite,
+//which `renderBatched` and the WebGL renderer can draw without calling
+//its `render` method
+function isImageSprite(sprite) {
+  return sprite instanceof Sprite && sprite.render === Sprite.prototype.render;
+}
+
+/*
+renderWithInterpolation
+-------
+
+A render function that displays all the sprites on the canvas.
+It's the same as the ordinary `render` function, but interpolates the
+sprite positions for use with a fixed-timestep-variable-render game loop.
+Use it inside a game loop to render the sprites like this:
+
+    renderWithInterpolation(canvasContext, lagOffset);
+
+*/
+
+export function renderWithInterpolation(canvas, lagOffset) {
+
+  //Let the canvas's renderer draw the sprites if it has one
+  if (canvas.renderer) {
+    canvas.renderer.render(canvas, lagOffset);
+  } else {
+    renderCanvasWithInterpolation(canvas, lagOffset);
+  }
+}
+
+//`renderCanvasWithInterpolation` draws the sprites at their
+//interpolated positions with the canvas's 2D context
+function renderCanvasWithInterpolation(canvas, lagOffset) {
+
+  //Get a reference to the context
+  let ctx = canvas.ctx;
+
+  //Clear the canvas
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  //Display all the sprites at their interpolated positions
+  displaySprites(canvas, undefined, lagOffset);
+}
+
+/*
+Renderers
+---------
+
+A renderer draws the stage's sprites onto a canvas. Canvases that are
+made with `makeCanvas` or `makeHeadlessCanvas` have one, in their
+`renderer` property, and the `render` and `renderWithInterpolation`
+functions ask it to draw the sprites. That means you can change the
+renderer without changing any of your game code.
+
+There are two renderers:
+
+- `canvasRenderer`: Draws the sprites with the canvas's 2D context,
+  using each sprite's `render` method. It's the default.
+- `webglRenderer`: Draws the sprites as textured rectangles (quads) with
+  WebGL. Sprites that come one after the other and use the same
+  image, like frames from the same texture atlas, are drawn together
+  in one batch. That's much faster when there are lots of sprites.
+
+Choose the WebGL renderer with the `makeCanvas` function's last
+argument, or with the engine's `renderer` option:
+
+    let g = game(512, 512, setup, assetsToLoad, load, {renderer: "webgl"});
+
+The WebGL renderer draws image sprites straight from their images.
+Other sprites, like shapes and text, are drawn with their own `render`
+method into a small offscreen canvas, which is used as their image. That
+image is only redrawn when the sprite changes the way it looks. There are
+a few things that it can't do exactly like the 2D renderer:
+
+- Masks clip their children to the rectangle around the mask.
+- Shadows turn with the sprite.
+- Only the "source-over", "lighter", "multiply" and "screen" blend modes
+  are supported. Sprites with other blend modes use "source-over".
+- `canvas.dirtyRectangles` is ignored. The whole canvas is redrawn
+  every frame.
+
+The WebGL renderer sends its batches to a backend. `webglBackend`
+draws them with a WebGL context, and `softwareBackend` draws them into
+an array of pixels, so that you can test the renderer without a browser.
+A backend is an object with these methods:
+
+- `begin(width, height)`: Start a new frame, and clear it.
+- `drawBatch(batch)`: Draw a batch of quads.
+- `end()`: Finish the frame.
+- `refresh(source)`: The pixels of an image or canvas have changed,
+  or it won't be drawn again, so forget anything that was remembered
+  about it. The renderer calls it when it throws away the offscreen
+  canvas of a sprite that has left the stage.
+
+Each batch has a `source` image or canvas, a `blendMode`, a `clip`
+rectangle (or `undefined`), and a `quads` array with `count` quads in
+it. Each quad is 13 numbers: the x and y positions of its four corners
+(top left, top right, bottom right and bottom left), the x, y, width
+and height of the part of the source image to draw, and its alpha. (The
+`quads` array is reused for the next batch, so the backend has to
+draw the batch straight away.)
+
+You can make your own renderer, too. It just needs a `type` name and
+a `render(canvas, lagOffset)` method. The `lagOffset` is only supplied
+when `renderWithInterpolation` is used.
+*/
+
+export function canvasRenderer() {
+  return {
+    type: "canvas",
+    render(canvas, lagOffset) {
+      if (lagOffset === undefined) {
+        renderCanvas(canvas);
+      } else {
+        renderCanvasWithInterpolation(canvas, lagOffset);
+      }
+    }
+  };
+}
+
+//The largest number of quads in a batch, and the number of
+//values that describe each quad
+let batchSize = 2000,
+    quadSize = 13;
+
+//The WebGL blend functions that are used for each blend mode. The
+//colors are premultiplied by their alpha
+let blendFactors = {
+  "source-over": ["ONE", "ONE_MINUS_SRC_ALPHA"],
+  "lighter": ["ONE", "ONE"],
+  "multiply": ["DST_COLOR", "ONE_MINUS_SRC_ALPHA"],
+  "screen": ["ONE", "ONE_MINUS_SRC_COLOR"]
+};
+
+export function webglRenderer(backend) {
+
+  //The offscreen canvases that non-image sprites are drawn into, and
+  //the bitmap caches that have been drawn, for each sprite. The
+  //`frame` counts the frames, so that the canvases of sprites that
+  //weren't drawn can be checked and thrown away if the sprites have left
+  //the stage. `measuringCanvas` is used by text sprites to measure
+  //their size
+  let textures = new Map(),
+      caches = new Map(),
+      frame = 0,
+      measuringCanvas = undefined,
+      quads = new Float32Array(batchSize * quadSize);
+
+  let o = {
+    type: "webgl",
+    backend: backend,
+
+    render(canvas, lagOffset) {
+      let screen = {x: 0, y: 0, width: canvas.width, height: canvas.height},
+          stats = {drawn: 0, batches: 0},
+          batch = undefined;
+
+      frame += 1;
+      backend.begin(canvas.width, canvas.height);
+
+      //Loop through each sprite object in the stage's `children` array
+      stage.children.forEach(sprite => {
+        drawSprite(sprite, new Matrix(), stage.alpha, "source-over", undefined);
+      });
+      flush();
+      backend.end();
+
+      //Throw away the canvases of sprites that have left the stage
+      freeCanvases(textures, () => true);
+      freeCanvases(caches, (entry, sprite) => sprite._cache === entry.cache);
+
+      canvas.renderStats = stats;
+
+      //`drawSprite` adds the quads for a sprite and its children to
+      //the batches. The blend mode and `clip` rectangle come from
+      //the sprite's parents
+      function drawSprite(sprite, parentMatrix, parentAlpha, parentBlendMode, clip) {
+        if (!sprite.visible) return;
+
+        //Find the sprite's world matrix and alpha
+        let matrix = parentMatrix;
+        if (sprite.camera) matrix = matrix.multiply(sprite.camera.transform);
+        let position = renderPosition(sprite, lagOffset);
+        matrix = matrix.multiply(localMatrix(sprite, position.x, position.y));
+        let alpha = parentAlpha * sprite.alpha,
+            blendMode = sprite.blendMode || parentBlendMode,
+            visibleArea = clip || screen;
+
+        //Cached sprites are drawn with their cached image, which
+        //already includes their children
+        if (sprite.cacheAsBitmap) {
+          let cache = updateCache(sprite),
+              previous = caches.get(sprite);
+
+          //Tell the backend when the cache has been redrawn, or
+          //replaced with a new canvas
+          if (!previous || previous.cache !== cache) {
+            if (previous && previous.cache.canvas) backend.refresh(previous.cache.canvas);
+            if (cache.canvas) backend.refresh(cache.canvas);
+          }
+          caches.set(sprite, {cache, canvas: cache.canvas, frame});
+
+          if (cache.canvas && overlaps(cacheArea(cache, matrix), visibleArea)) {
+            addQuad(
+              cache.canvas, matrix,
+              cache.x, cache.y, cache.canvas.width, cache.canvas.height,
+              0, 0, cache.canvas.width, cache.canvas.height,
+              alpha, blendMode, clip
+            );
+          }
+          return;
+        }
+
+        //Find out if the sprite is within the visible area
+        let area = drawnArea(sprite, matrix),
+            onScreen = overlaps(area, visibleArea),
+            hasChildren = sprite.children.length > 0;
+        if (!onScreen && (!hasChildren || sprite.mask)) return;
+
+        if (onScreen && sprite.render) {
+
+          //Draw image sprites straight from their image
+          if (isImageSprite(sprite)) {
+            addQuad(
+              sprite.source, matrix,
+              0, 0, sprite.width, sprite.height,
+              sprite.sourceX, sprite.sourceY, sprite.sourceWidth, sprite.sourceHeight,
+              alpha, blendMode, clip
+            );
+          }
+
+          //Draw other sprites from their offscreen canvas
+          else {
+            let texture = spriteTexture(sprite);
+            if (texture) {
+              let {canvas: source, x, y} = texture;
+              addQuad(
+                source, matrix,
+                x, y, source.width, source.height,
+                0, 0, source.width, source.height,
+                alpha, blendMode, clip
+              );
+            }
+          }
+        }
+
+        //A mask clips its children to the rectangle around it
+        if (sprite.mask) clip = intersection(visibleArea, area || screen);
 
-      if (sprite.children && sprite.children.length > 0) {
-        //Reset the context back to the parent sprite's top left corner,
-        //relative to the pivot point
-        ctx.translate(-sprite.width * sprite.pivotX , -sprite.height * sprite.pivotY);
-        //Loop through the parent sprite's children
         sprite.children.forEach(child => {
-          //display the child
-          displaySprite(child);
+          drawSprite(child, matrix, alpha, blendMode, clip);
         });
       }
 
-      //Restore the canvas to its previous state
-      ctx.restore();
+      //`addQuad` adds a quad to the current batch. The quad is the
+      //rectangle at `left` and `top`, with the sprite's `width` and `height`,
+      //moved by the sprite's world matrix. A new batch is started if the
+      //image, the blend mode or the clip rectangle changes
+      function addQuad(
+        source, matrix, left, top, width, height,
+        sourceX, sourceY, sourceWidth, sourceHeight,
+        alpha, blendMode, clip
+      ) {
+        if (!blendFactors[blendMode]) blendMode = "source-over";
+        if (
+          !batch || batch.source !== source || batch.blendMode !== blendMode
+          || batch.clip !== clip || batch.count === batchSize
+        ) {
+          flush();
+          batch = {source, blendMode, clip, quads, count: 0};
+        }
+        let {a, b, c, d, tx, ty} = matrix,
+            right = left + width,
+            bottom = top + height,
+            i = batch.count * quadSize;
+        quads[i] = a * left + c * top + tx;
+        quads[i + 1] = b * left + d * top + ty;
+        quads[i + 2] = a * right + c * top + tx;
+        quads[i + 3] = b * right + d * top + ty;
+        quads[i + 4] = a * right + c * bottom + tx;
+        quads[i + 5] = b * right + d * bottom + ty;
+        quads[i + 6] = a * left + c * bottom + tx;
+        quads[i + 7] = b * left + d * bottom + ty;
+        quads[i + 8] = sourceX;
+        quads[i + 9] = sourceY;
+        quads[i + 10] = sourceWidth;
+        quads[i + 11] = sourceHeight;
+        quads[i + 12] = alpha;
+        batch.count += 1;
+        stats.drawn += 1;
+      }
+
+      //`flush` sends the current batch to the backend
+      function flush() {
+        if (batch && batch.count > 0) {
+          backend.drawBatch(batch);
+          stats.batches += 1;
+        }
+        batch = undefined;
+      }
+    }
+  };
+
+  //`spriteTexture` returns the offscreen canvas that a sprite is drawn
+  //into, and the position of its top left corner, measured from the
+  //sprite's top left corner. It's only redrawn if the sprite has changed
+  function spriteTexture(sprite) {
+
+    //Text sprites find out their size the first time they're drawn
+    let area = drawnArea(sprite, new Matrix());
+    if (!area) {
+      if (!measuringCanvas) measuringCanvas = makeOffscreenCanvas(1, 1);
+      sprite.render(measuringCanvas.ctx);
+      area = drawnArea(sprite, new Matrix());
+      if (!area) return undefined;
+    }
+
+    let texture = textures.get(sprite);
+    if (texture && texture.version === sprite._appearanceVersion) {
+      texture.frame = frame;
+      return texture;
+    }
+
+    let x = Math.floor(area.x),
+        y = Math.floor(area.y),
+        width = Math.ceil(area.x + area.width) - x,
+        height = Math.ceil(area.y + area.height) - y;
+    if (width <= 0 || height <= 0) return undefined;
+
+    //Reuse the old canvas if it's the right size. Otherwise, tell
+    //the backend to forget the old canvas
+    let canvas;
+    if (texture && texture.canvas.width === width && texture.canvas.height === height) {
+      canvas = texture.canvas;
+    } else {
+      if (texture) backend.refresh(texture.canvas);
+      canvas = makeOffscreenCanvas(width, height);
+    }
+
+    //Draw the sprite
+    let ctx = canvas.ctx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.save();
+    renderInto(ctx, sprite, new Matrix(1, 0, 0, 1, -x, -y));
+    ctx.restore();
+
+    texture = {version: sprite._appearanceVersion, canvas, x, y, frame};
+    textures.set(sprite, texture);
+    backend.refresh(canvas);
+    return texture;
+  }
+
+  //`freeCanvases` checks the sprites whose canvases weren't drawn in
+  //this frame. If a sprite isn't on the stage any more, or it's
+  //stopped using the canvas, the backend forgets the canvas
+  function freeCanvases(canvases, inUse) {
+    canvases.forEach((entry, sprite) => {
+      if (entry.frame === frame) return;
+      if (!isOnStage(sprite) || !inUse(entry, sprite)) {
+        if (entry.canvas) backend.refresh(entry.canvas);
+        canvases.delete(sprite);
+      }
+    });
+  }
+
+  return o;
+}
+
+/*
+isOnStage
+---------
+
+Find out if a sprite is on the stage, either as one of the stage's
+children or inside a group that's on the stage:
+
+    if (isOnStage(alien)) {
+      //The alien hasn't been removed
+    }
+
+`removeChild` doesn't clear a sprite's `parent`, so each of its
+parents is checked to make sure that the sprite is still one of its
+children.
+
+*/
+
+export function isOnStage(sprite) {
+  while (sprite.parent) {
+    if (sprite.parent.children.indexOf(sprite) === -1) return false;
+    sprite = sprite.parent;
+  }
+  return sprite === stage;
+}
+
+//`intersection` returns the area where two rectangles overlap
+function intersection(a, b) {
+  let left = Math.max(a.x, b.x),
+      top = Math.max(a.y, b.y);
+  return {
+    x: left,
+    y: top,
+    width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - left),
+    height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - top)
+  };
+}
+
+/*
+webglBackend
+------------
+
+A backend for the WebGL renderer that draws the batches with a
+WebGL context. Each image is uploaded to the graphics card as a
+texture the first time it's drawn.
+*/
+
+export function webglBackend(gl) {
+  let program = makeProgram(gl, spriteVertexShader, spriteFragmentShader),
+      position = gl.getAttribLocation(program, "aPosition"),
+      texCoord = gl.getAttribLocation(program, "aTexCoord"),
+      alphaAttribute = gl.getAttribLocation(program, "aAlpha"),
+      resolution = gl.getUniformLocation(program, "uResolution"),
+      textures = new WeakMap(),
+      height = 0;
+
+  //Each quad has 4 corners (vertices), and each vertex has 5 values:
+  //its x and y position, its x and y texture coordinates, and its alpha
+  let vertices = new Float32Array(batchSize * 4 * 5),
+      vertexBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, vertices.byteLength, gl.DYNAMIC_DRAW);
+
+  //Each quad is drawn as two triangles. The indices tell WebGL which
+  //vertices make up the triangles
+  let indices = new Uint16Array(batchSize * 6);
+  for (let i = 0, vertex = 0; i < indices.length; i += 6, vertex += 4) {
+    indices[i] = vertex;
+    indices[i + 1] = vertex + 1;
+    indices[i + 2] = vertex + 2;
+    indices[i + 3] = vertex;
+    indices[i + 4] = vertex + 2;
+    indices[i + 5] = vertex + 3;
+  }
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+  //Images are uploaded with premultiplied alpha
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+  gl.enable(gl.BLEND);
+
+  let o = {
+    begin(width, canvasHeight) {
+      height = canvasHeight;
+      gl.viewport(0, 0, width, height);
+      gl.disable(gl.SCISSOR_TEST);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+
+      gl.useProgram(program);
+      gl.uniform2f(resolution, width, height);
+      gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+      gl.enableVertexAttribArray(position);
+      gl.enableVertexAttribArray(texCoord);
+      gl.enableVertexAttribArray(alphaAttribute);
+      gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 20, 0);
+      gl.vertexAttribPointer(texCoord, 2, gl.FLOAT, false, 20, 8);
+      gl.vertexAttribPointer(alphaAttribute, 1, gl.FLOAT, false, 20, 16);
+    },
+
+    drawBatch(batch) {
+      let texture = textureFor(batch.source),
+          quads = batch.quads;
+
+      //Work out the vertices. The texture coordinates go from 0 to 1
+      //across the whole image
+      for (let q = 0; q < batch.count; q++) {
+        let i = q * quadSize,
+            v = q * 20,
+            left = quads[i + 8] / texture.width,
+            top = quads[i + 9] / texture.height,
+            right = (quads[i + 8] + quads[i + 10]) / texture.width,
+            bottom = (quads[i + 9] + quads[i + 11]) / texture.height,
+            alpha = quads[i + 12];
+        vertices.set([
+          quads[i], quads[i + 1], left, top, alpha,
+          quads[i + 2], quads[i + 3], right, top, alpha,
+          quads[i + 4], quads[i + 5], right, bottom, alpha,
+          quads[i + 6], quads[i + 7], left, bottom, alpha
+        ], v);
+      }
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, vertices.subarray(0, batch.count * 20));
+
+      //Set the blend mode and the clip rectangle. WebGL's y axis points
+      //up, so the clip rectangle is flipped
+      let [source, destination] = blendFactors[batch.blendMode];
+      gl.blendFunc(gl[source], gl[destination]);
+      if (batch.clip) {
+        let {x, y, width, height: clipHeight} = batch.clip,
+            left = Math.round(x),
+            bottom = Math.round(height - y - clipHeight);
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(
+          left, bottom,
+          Math.max(0, Math.round(x + width) - left),
+          Math.max(0, Math.round(height - y) - bottom)
+        );
+      } else {
+        gl.disable(gl.SCISSOR_TEST);
+      }
+
+      gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+      gl.drawElements(gl.TRIANGLES, batch.count * 6, gl.UNSIGNED_SHORT, 0);
+    },
+
+    end() {},
+
+    refresh(source) {
+      let texture = textures.get(source);
+      if (texture) {
+        gl.deleteTexture(texture.texture);
+        textures.delete(source);
+      }
+    }
+  };
+
+  //`textureFor` returns the texture for an image, and uploads it
+  //if it hasn't been uploaded yet. (Images that aren't a power of 2
+  //in size can't repeat or use mipmaps)
+  function textureFor(source) {
+    let texture = textures.get(source);
+    if (!texture) {
+      texture = {texture: gl.createTexture(), width: source.width, height: source.height};
+      gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      textures.set(source, texture);
+    }
+    return texture;
+  }
+
+  return o;
+}
+
+//The shaders that draw the quads. The vertex shader changes the
+//canvas positions into WebGL's -1 to 1 coordinates
+let spriteVertexShader = `
+  attribute vec2 aPosition;
+  attribute vec2 aTexCoord;
+  attribute float aAlpha;
+  uniform vec2 uResolution;
+  varying vec2 vTexCoord;
+  varying float vAlpha;
+  void main() {
+    vec2 position = aPosition / uResolution * 2.0 - 1.0;
+    gl_Position = vec4(position.x, -position.y, 0.0, 1.0);
+    vTexCoord = aTexCoord;
+    vAlpha = aAlpha;
+  }
+`;
+
+let spriteFragmentShader = `
+  precision mediump float;
+  uniform sampler2D uTexture;
+  varying vec2 vTexCoord;
+  varying float vAlpha;
+  void main() {
+    gl_FragColor = texture2D(uTexture, vTexCoord) * vAlpha;
+  }
+`;
+
+//`makeProgram` compiles and links the shaders, and throws an error
+//if that doesn't work
+function makeProgram(gl, vertexSource, fragmentSource) {
+  let program = gl.createProgram();
+  [
+    [gl.VERTEX_SHADER, vertexSource],
+    [gl.FRAGMENT_SHADER, fragmentSource]
+  ].forEach(([type, source]) => {
+    let shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`The shader could not be compiled: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+  });
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`The shaders could not be linked: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+}
+
+/*
+softwareBackend
+---------------
+
+A backend for the WebGL renderer that draws the batches into an
+array of pixels, without a browser. It blends the pixels the same way
+as the WebGL backend, so you can use it to test a WebGL game
+headlessly. Read the pixels like this:
+
+    let pixels = canvas.renderer.backend.readPixels();
+
+The pixels are in an array of red, green, blue and alpha values from 0
+to 255, like the `data` of an `ImageData` object. Use `getPixel(x, y)` to
+read one pixel.
+
+It can only read an image's pixels in a browser, or if the image has an
+`imageData` property with `width`, `height` and `data` properties, like
+an `ImageData` object. Images that it can't read are drawn white.
+*/
+
+export function softwareBackend() {
+
+  //The pixels are stored as numbers from 0 to 1, premultiplied by
+  //their alpha
+  let width = 0,
+      height = 0,
+      pixels = new Float32Array(0),
+      textures = new WeakMap();
+
+  let o = {
+    get width() { return width; },
+    get height() { return height; },
+
+    begin(canvasWidth, canvasHeight) {
+      if (canvasWidth !== width || canvasHeight !== height) {
+        width = canvasWidth;
+        height = canvasHeight;
+        pixels = new Float32Array(width * height * 4);
+      } else {
+        pixels.fill(0);
+      }
+    },
+
+    drawBatch(batch) {
+      let texture = textureFor(batch.source),
+          [sourceFactor, destinationFactor] = blendFactors[batch.blendMode],
+          clip = batch.clip || {x: 0, y: 0, width: width, height: height};
+      for (let q = 0; q < batch.count; q++) {
+        drawQuad(batch.quads, q * quadSize, texture, sourceFactor, destinationFactor, clip);
+      }
+    },
+
+    end() {},
+
+    refresh(source) {
+      textures.delete(source);
+    },
+
+    readPixels() {
+      let data = new Uint8ClampedArray(pixels.length);
+      for (let i = 0; i < pixels.length; i += 4) {
+        let alpha = pixels[i + 3];
+        if (alpha > 0) {
+          data[i] = Math.round(pixels[i] / alpha * 255);
+          data[i + 1] = Math.round(pixels[i + 1] / alpha * 255);
+          data[i + 2] = Math.round(pixels[i + 2] / alpha * 255);
+          data[i + 3] = Math.round(alpha * 255);
+        }
+      }
+      return data;
+    },
+
+    getPixel(x, y) {
+      let i = (y * width + x) * 4,
+          alpha = pixels[i + 3];
+      if (alpha === 0) return [0, 0, 0, 0];
+      return [
+        Math.round(pixels[i] / alpha * 255),
+        Math.round(pixels[i + 1] / alpha * 255),
+        Math.round(pixels[i + 2] / alpha * 255),
+        Math.round(alpha * 255)
+      ];
+    }
+  };
+
+  //`drawQuad` fills the pixels whose centers are inside a quad. The
+  //quad is a parallelogram, so each pixel's position in the quad is
+  //found by undoing the quad's top and left edge vectors
+  function drawQuad(quads, i, texture, sourceFactor, destinationFactor, clip) {
+    let x0 = quads[i], y0 = quads[i + 1],
+        edgeXx = quads[i + 2] - x0, edgeXy = quads[i + 3] - y0,
+        edgeYx = quads[i + 6] - x0, edgeYy = quads[i + 7] - y0,
+        determinant = edgeXx * edgeYy - edgeYx * edgeXy;
+    if (determinant === 0) return;
+
+    //Find the pixels around the quad, inside the clip rectangle
+    let xs = [quads[i], quads[i + 2], quads[i + 4], quads[i + 6]],
+        ys = [quads[i + 1], quads[i + 3], quads[i + 5], quads[i + 7]],
+        left = Math.max(0, Math.floor(Math.min(...xs)), Math.ceil(clip.x - 0.5)),
+        top = Math.max(0, Math.floor(Math.min(...ys)), Math.ceil(clip.y - 0.5)),
+        right = Math.min(width, Math.ceil(Math.max(...xs)), Math.ceil(clip.x + clip.width - 0.5)),
+        bottom = Math.min(height, Math.ceil(Math.max(...ys)), Math.ceil(clip.y + clip.height - 0.5));
+
+    let sourceX = quads[i + 8], sourceY = quads[i + 9],
+        sourceWidth = quads[i + 10], sourceHeight = quads[i + 11],
+        alpha = quads[i + 12],
+        color = [0, 0, 0, 0];
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+
+        //Find where the pixel's center is in the quad, from 0 to 1
+        let dx = x + 0.5 - x0,
+            dy = y + 0.5 - y0,
+            u = (dx * edgeYy - dy * edgeYx) / determinant,
+            v = (edgeXx * dy - edgeXy * dx) / determinant;
+        if (u < 0 || u >= 1 || v < 0 || v >= 1) continue;
+
+        //Find the color of the image at that point
+        sample(
+          texture,
+          Math.floor(sourceX + u * sourceWidth),
+          Math.floor(sourceY + v * sourceHeight),
+          color
+        );
+        color[0] *= alpha;
+        color[1] *= alpha;
+        color[2] *= alpha;
+        color[3] *= alpha;
+
+        //Blend it with the pixel that's already there
+        let p = (y * width + x) * 4;
+        for (let channel = 0; channel < 4; channel++) {
+          let value = color[channel] * factor(sourceFactor, color, p, channel)
+            + pixels[p + channel] * factor(destinationFactor, color, p, channel);
+          pixels[p + channel] = Math.min(1, value);
+        }
+      }
+    }
+  }
+
+  //`factor` works out a WebGL blend factor for a color channel
+  function factor(name, color, p, channel) {
+    switch (name) {
+      case "ONE":
+        return 1;
+      case "ONE_MINUS_SRC_ALPHA":
+        return 1 - color[3];
+      case "DST_COLOR":
+        return pixels[p + channel];
+      case "ONE_MINUS_SRC_COLOR":
+        return 1 - color[channel];
+    }
+  }
+
+  //`sample` finds the premultiplied color of a texture's pixel
+  function sample(texture, x, y, color) {
+    if (!texture.data) {
+      color[0] = color[1] = color[2] = color[3] = 1;
+      return;
+    }
+    x = Math.min(Math.max(x, 0), texture.width - 1);
+    y = Math.min(Math.max(y, 0), texture.height - 1);
+    let i = (y * texture.width + x) * 4,
+        alpha = texture.data[i + 3] / 255;
+    color[0] = texture.data[i] / 255 * alpha;
+    color[1] = texture.data[i + 1] / 255 * alpha;
+    color[2] = texture.data[i + 2] / 255 * alpha;
+    color[3] = alpha;
+  }
+
+  //`textureFor` reads an image's pixels, if it can
+  function textureFor(source) {
+    let texture = textures.get(source);
+    if (!texture) {
+      texture = {width: source.width, height: source.height, data: undefined};
+      if (source.imageData) {
+        texture = source.imageData;
+      } else if (typeof document !== "undefined") {
+        try {
+          let canvas = makeOffscreenCanvas(source.width, source.height);
+          canvas.ctx.drawImage(source, 0, 0);
+          texture = canvas.ctx.getImageData(0, 0, source.width, source.height);
+        } catch (error) {
+
+          //Images from other websites can't be read
+        }
+      }
+      textures.set(source, texture);
+    }
+    return texture;
+  }
+
+  return o;
+}
+
+//`localMatrix` makes a sprite's local transform matrix. It moves,
+//rotates and scales the sprite around its pivot point. The `x` and `y`
+//position is supplied so that `renderWithInterpolation` can use the
+//interpolated position
+function localMatrix(sprite, x, y) {
+  let pivotX = sprite.width * sprite.pivotX,
+      pivotY = sprite.height * sprite.pivotY,
+      cos = Math.cos(sprite.rotation),
+      sin = Math.sin(sprite.rotation),
+      a = cos * sprite.scaleX,
+      b = sin * sprite.scaleX,
+      c = -sin * sprite.scaleY,
+      d = cos * sprite.scaleY;
+  return new Matrix(
+    a, b, c, d,
+    x + pivotX - (a * pivotX + c * pivotY),
+    y + pivotY - (b * pivotX + d * pivotY)
+  );
+}
+
+//`setTransform` sets the context's transformation to a sprite's
+//world matrix, moved to the sprite's pivot point
+function setTransform(ctx, matrix, sprite) {
+  let m = matrix.translate(sprite.width * sprite.pivotX, sprite.height * sprite.pivotY);
+  ctx.setTransform(m.a, m.b, m.c, m.d, m.tx, m.ty);
+}
+
+//`drawnArea` returns the rectangle on the canvas that a sprite draws
+//into, using the sprite's world `matrix`. It includes the sprite's
+//stroke and its shadow. If the sprite's size isn't known yet, like
+//text that hasn't been measured, it returns `undefined`
+function drawnArea(sprite, matrix) {
+  let left = 0,
+      top = 0,
+      right = sprite.width,
+      bottom = sprite.height;
+
+  //Lines are drawn between their `a` and `b` points
+  if (sprite.ax !== undefined && sprite.bx !== undefined) {
+    left = Math.min(sprite.ax, sprite.bx);
+    top = Math.min(sprite.ay, sprite.by);
+    right = Math.max(sprite.ax, sprite.bx);
+    bottom = Math.max(sprite.ay, sprite.by);
+  } else if (sprite.width === 0 || sprite.height === 0) {
+    return undefined;
+  }
+
+  //Make room for half the stroke, which is drawn outside the shape
+  let padding = (sprite.lineWidth || 0) / 2;
+  left -= padding;
+  top -= padding;
+  right += padding;
+  bottom += padding;
+
+  //Transform the corners, and find the rectangle around them
+  let area = transformedArea(matrix, left, top, right, bottom);
+
+  //Add the shadow, which isn't transformed
+  if (sprite.shadow) {
+    let blur = sprite.shadowBlur,
+        offsetX = sprite.shadowOffsetX,
+        offsetY = sprite.shadowOffsetY;
+    area = {
+      x: Math.min(area.x, area.x + offsetX) - blur,
+      y: Math.min(area.y, area.y + offsetY) - blur,
+      width: area.width + Math.abs(offsetX) + blur * 2,
+      height: area.height + Math.abs(offsetY) + blur * 2
+    };
+  }
+
+  return area;
+}
+
+//`transformedArea` transforms the corners of a rectangle with a
+//matrix, and returns the rectangle that surrounds them
+function transformedArea(matrix, left, top, right, bottom) {
+  let corners = [
+        matrix.apply({x: left, y: top}),
+        matrix.apply({x: right, y: top}),
+        matrix.apply({x: right, y: bottom}),
+        matrix.apply({x: left, y: bottom})
+      ],
+      xs = corners.map(corner => corner.x),
+      ys = corners.map(corner => corner.y),
+      x = Math.min(...xs),
+      y = Math.min(...ys);
+  return {
+    x: x,
+    y: y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y
+  };
+}
+
+//`overlaps` finds out if two rectangles overlap. An `undefined`
+//rectangle could be anywhere, so it overlaps everything
+function overlaps(a, b) {
+  if (!a || !b) return true;
+  return a.x < b.x + b.width
+    && a.x + a.width > b.x
+    && a.y < b.y + b.height
+    && a.y + a.height > b.y;
+}
+
+/*
+capturePreviousPositions
+------------------------
+
+Loops through all the sprites in a container (usually the `stage`)
+and copies their current `x` and `y` positions to their `previousX`
+and `previousY` properties. Call it at the start of each fixed
+logic update so that `renderWithInterpolation` can find the
+positions in between:
+
+    capturePreviousPositions(stage);
+
+*/
+
+export function capturePreviousPositions(container) {
+
+  //Loop through all the children of the container
+  container.children.forEach(sprite => {
+    setPreviousPosition(sprite);
+  });
+
+  function setPreviousPosition(sprite) {
+
+    //Set the sprite’s `previousX` and `previousY`
+    sprite.previousX = sprite.x;
+    sprite.previousY = sprite.y;
+
+    //Loop through all the sprite's children
+    if (sprite.children && sprite.children.length > 0) {
+      sprite.children.forEach(child => {
+
+        //Recursively call `setPreviousPosition` on each sprite
+        setPreviousPosition(child);
+      });
     }
   }
 }
@@ -2067,17 +4241,12 @@ export function tilingSprite(width, height, source, x = 0, y = 0) {
 
           //If the x position of the sprite exceeds the total width
           //of the visible columns, reposition it to just in front of the 
-          //left edge of the container. This creates the wrapping
-          //effect
-          if (child.x > (columns - 1) * tileWidth) {
-            child.x = 0 - tileWidth + difference;
-          }
-
-          //Use the same procedure to wrap sprites that 
-          //exceed the left boundary
-          if (child.x < 0 - tileWidth - difference) {
-            child.x = (columns - 1) * tileWidth;
-          }
+          //left edge of the container. Sprites that exceed the left
+          //boundary are moved to the right edge in the same way.
+          //This creates the wrapping effect. (Use the remainder, so
+          //that big differences, like the ones parallax layers can
+          //make, still wrap correctly)
+          child.x = wrap(child.x, tileWidth, columns * tileWidth);
         });
 
         //Set the private `_tileX` property to the new value
@@ -2095,8 +4264,7 @@ export function tilingSprite(width, height, source, x = 0, y = 0) {
         tileGrid.children.forEach(child => {
           let difference = value - tileGrid._tileY;
           child.y += difference;
-          if (child.y > (rows - 1) * tileHeight) child.y = 0 - tileHeight + difference;
-          if (child.y < 0 - tileHeight - difference) child.y = (rows - 1) * tileHeight;
+          child.y = wrap(child.y, tileHeight, rows * tileHeight);
         });
         tileGrid._tileY = value;
       },
@@ -2104,10 +4272,158 @@ export function tilingSprite(width, height, source, x = 0, y = 0) {
     }
   });
 
+  //`wrap` keeps a tile's position between one tile before the start
+  //of the container and the end of the last row or column
+  function wrap(position, tileSize, totalSize) {
+    return ((position + tileSize) % totalSize + totalSize) % totalSize - tileSize;
+  }
+
   //Return the rectangle container
   return container;
 }
 
+/*
+parallaxLayers
+--------------
+
+An array to store all the parallax layers in the game. The engine
+updates them each frame
+*/
+
+export let parallaxLayers = [];
+
+/*
+parallaxLayer
+-------------
+
+A parallax layer is a group that scrolls more slowly or more quickly
+than the rest of the game world, so that it looks further away or
+closer. Make a layer for each distance, and add sprites to it:
+
+    let hills = parallaxLayer(camera, 0.5);
+    hills.addChild(tilingSprite(512, 128, assets["hills.png"], 0, 384));
+
+The `scrollFactorX` and `scrollFactorY` tell the layer how quickly
+to scroll compared to the camera. 0 makes the layer stay still on the
+canvas, like the sky, 0.5 makes it scroll at half the camera's speed,
+1 makes it scroll with the world, and numbers greater than 1 make it
+scroll faster than the world, which is good for foreground decorations.
+
+The layer can be on the stage, behind or in front of the world, or
+inside the camera's world group. Either way, it's scrolled the right
+amount.
+
+Tiling sprites in the layer (sprites with a `tileX` property)
+don't move: instead, their tiles scroll, so that they can fill the
+canvas forever. Other sprites move with the layer.
+
+If you don't have a camera, leave it out (or set it to
+`undefined`) and change the layer's `scrollX` and `scrollY` values
+instead. They're how far the game has scrolled:
+
+    let sky = parallaxLayer(undefined, 0.2);
+    sky.addChild(tilingSprite(256, 256, assets["sky.png"]));
+
+    //In the game loop:
+    sky.scrollX += 5;
+
+If you're not using the engine, call each layer's `update` method
+in the game loop after you move the camera.
+Parameters:
+a. Optional: The camera.
+b. The horizontal scroll factor.
+c. The vertical scroll factor. It's the same as the horizontal
+scroll factor if you leave it out.
+*/
+
+export function parallaxLayer(camera, scrollFactorX = 0.5, scrollFactorY = scrollFactorX) {
+  let layer = group();
+
+  //Use a private `_camera` property so that `render` doesn't
+  //treat the layer as a world with a camera
+  layer._camera = camera;
+
+  layer.scrollFactorX = scrollFactorX;
+  layer.scrollFactorY = scrollFactorY;
+
+  //How far the game has scrolled, if there isn't a camera
+  layer.scrollX = 0;
+  layer.scrollY = 0;
+
+  //How far the layer has been moved by the scrolling
+  layer._offsetX = 0;
+  layer._offsetY = 0;
+
+  //Move the layer, and scroll the tiling sprites inside it
+  layer.update = () => {
+    let scrollX = layer.scrollX,
+        scrollY = layer.scrollY,
+        camera = layer._camera;
+
+    //Use the camera's position, without its zoom, as the scroll
+    if (camera) {
+      scrollX = camera.centerX - camera.width / 2;
+      scrollY = camera.centerY - camera.height / 2;
+    }
+
+    //Move the layer in the opposite direction to the scrolling
+    let offsetX = -scrollX * layer.scrollFactorX,
+        offsetY = -scrollY * layer.scrollFactorY;
+
+    //If the layer is inside the camera's world, the world has
+    //already been scrolled by the camera, so take that away
+    if (camera && isInside(layer, camera.world)) {
+      offsetX += scrollX;
+      offsetY += scrollY;
+    }
+
+    let dx = offsetX - layer._offsetX,
+        dy = offsetY - layer._offsetY;
+    layer.x += dx;
+    layer.y += dy;
+
+    //Keep the tiling sprites in place and scroll their tiles
+    layer.children.forEach(child => {
+      if (child.tileX !== undefined) {
+        child.x -= dx;
+        child.y -= dy;
+        child.tileX += dx;
+        child.tileY += dy;
+      }
+    });
+
+    layer._offsetX = offsetX;
+    layer._offsetY = offsetY;
+  };
+
+  parallaxLayers.push(layer);
+
+  return layer;
+}
+
+/*
+removeParallaxLayer
+-------------------
+
+Remove a parallax layer from the stage, and stop it from scrolling.
+*/
+
+export function removeParallaxLayer(layer) {
+  let index = parallaxLayers.indexOf(layer);
+  if (index !== -1) parallaxLayers.splice(index, 1);
+  remove(layer);
+}
+
+//`isInside` finds out if a sprite is inside a container, or inside
+//one of the container's children
+function isInside(sprite, container) {
+  let parent = sprite.parent;
+  while (parent) {
+    if (parent === container) return true;
+    parent = parent.parent;
+  }
+  return false;
+}
 
 /*
 shakingSprites
@@ -2123,11 +4439,20 @@ export let shakingSprites = [];
 shake
 -----
 
-Used to create a shaking effect, like a screen shake
+Used to create a shaking effect, like a screen shake.
+If the sprite is a world group with a `camera`, the camera is
+shaken instead
 */
 
 export function shake(sprite, magnitude = 16, angular = false) {
 
+  //If the sprite is a world with a camera, shake the camera
+  //instead so that the world's position doesn't change
+  if (sprite.camera) {
+    sprite.camera.shake(magnitude, angular);
+    return;
+  }
+
   //A counter to count the number of shakes
   let counter = 1;
 
@@ -2233,6 +4558,334 @@ export function shake(sprite, magnitude = 16, angular = false) {
 
 }
 
+/*
+cameras
+-------
+
+An array to store all the cameras in the game. The engine updates
+them each frame
+*/
+
+export let cameras = [];
+
+/*
+camera
+------
+
+Use a camera to scroll, zoom and rotate a big game world
+inside the canvas. Put all the sprites that should scroll in a
+`world` group, and make a camera for it:
+
+    let world = group();
+    let camera = camera(world, canvas);
+
+The `render` function draws the world through the camera, so you
+don't need to move the world group yourself. Sprites that aren't in
+the world, like a score display, don't move with the camera.
+
+The camera's `x` and `y` properties are the world position of the
+top left corner of the view, and `centerX` and `centerY` are the world
+position of the center of the view. Change them to scroll the world,
+or use `follow` to make the camera follow a sprite:
+
+    camera.follow(player, 0.1);
+
+The second argument is the easing, like `followEase`. Use 1
+(the default) to stay locked on to the sprite, or a smaller number
+to make the camera catch up with it gradually.
+
+The camera has these other optional properties:
+
+- `deadzone`: A rectangle, in canvas pixels, that the followed sprite
+  can move inside without the camera scrolling, like this:
+  `camera.deadzone = {x: 192, y: 160, width: 128, height: 192}`.
+- `bounds`: A rectangle, in world coordinates, that the camera's view
+  can't scroll outside of. Use it to stop the camera showing the empty
+  space beyond the edges of the world:
+  `camera.bounds = {x: 0, y: 0, width: world.width, height: world.height}`.
+  (The bounds are checked against the view before it's rotated).
+- `zoom`: The zoom amount. 2 makes the world look twice as big. The
+  camera zooms in and out around the center of the view.
+- `rotation`: The camera's angle, in radians. The world appears to
+  rotate around the center of the canvas in the opposite direction.
+
+Use `screenToWorld` to find out which world position is under a
+point on the canvas, like the pointer, and `worldToScreen` to find
+out where a world position is displayed on the canvas:
+
+    let position = camera.screenToWorld(pointer);
+
+Use `shake` to shake the camera. The shaking is only applied when
+the world is displayed, so it doesn't change the world group's
+position. (The `shake` function shakes the camera if you use it on a
+world group that has a camera).
+Parameters:
+a. The world group.
+b. The canvas.
+*/
+
+export function camera(world, canvas) {
+  let o = {
+    world: world,
+    width: canvas.width,
+    height: canvas.height,
+
+    //The world position of the center of the view. It's stored
+    //as the center so that the camera zooms around the center
+    _centerX: canvas.width / 2,
+    _centerY: canvas.height / 2,
+
+    zoom: 1,
+    rotation: 0,
+
+    //The sprite to follow and the easing to use
+    target: undefined,
+    ease: 1,
+
+    //The optional deadzone and bounds rectangles
+    deadzone: undefined,
+    bounds: undefined,
+
+    //The shake offsets that are added when the world is displayed
+    shakeX: 0,
+    shakeY: 0,
+    shakeAngle: 0,
+
+    //The size of the view in world coordinates
+    get viewWidth() {
+      return o.width / o.zoom;
+    },
+    get viewHeight() {
+      return o.height / o.zoom;
+    },
+
+    //The world position of the center of the view
+    get centerX() {
+      return o._centerX;
+    },
+    set centerX(value) {
+      o._centerX = value;
+    },
+    get centerY() {
+      return o._centerY;
+    },
+    set centerY(value) {
+      o._centerY = value;
+    },
+
+    //The world position of the top left corner of the view
+    get x() {
+      return o._centerX - o.viewWidth / 2;
+    },
+    set x(value) {
+      o._centerX = value + o.viewWidth / 2;
+    },
+    get y() {
+      return o._centerY - o.viewHeight / 2;
+    },
+    set y(value) {
+      o._centerY = value + o.viewHeight / 2;
+    },
+
+    //Follow a sprite
+    follow(sprite, ease = 1) {
+      o.target = sprite;
+      o.ease = ease;
+    },
+
+    //Stop following the sprite
+    unfollow() {
+      o.target = undefined;
+    },
+
+    //Center the view over a sprite or a point immediately
+    lookAt(x, y) {
+      if (x.x !== undefined) {
+        y = x.gy !== undefined ? x.gy + x.halfHeight : x.y;
+        x = x.gx !== undefined ? x.gx + x.halfWidth : x.x;
+      }
+      o.centerX = x;
+      o.centerY = y;
+      o.clamp();
+    },
+
+    //`update` scrolls the camera towards the sprite it's following,
+    //keeps it inside its bounds, and updates the shaking. The
+    //engine calls it each frame
+    update() {
+      if (o.target) {
+        let targetX = o.target.gx + o.target.halfWidth,
+            targetY = o.target.gy + o.target.halfHeight,
+            x = o.x,
+            y = o.y;
+
+        //If there's a deadzone, only scroll the camera if the
+        //target is outside it
+        if (o.deadzone) {
+          let left = o.deadzone.x / o.zoom,
+              right = (o.deadzone.x + o.deadzone.width) / o.zoom,
+              top = o.deadzone.y / o.zoom,
+              bottom = (o.deadzone.y + o.deadzone.height) / o.zoom;
+          if (targetX < o.x + left) x = targetX - left;
+          if (targetX > o.x + right) x = targetX - right;
+          if (targetY < o.y + top) y = targetY - top;
+          if (targetY > o.y + bottom) y = targetY - bottom;
+        }
+
+        //If there's no deadzone, keep the target in the center
+        else {
+          x = targetX - o.viewWidth / 2;
+          y = targetY - o.viewHeight / 2;
+        }
+
+        //Ease towards the new position
+        o.x += (x - o.x) * o.ease;
+        o.y += (y - o.y) * o.ease;
+      }
+
+      o.clamp();
+      if (o.updateShake) o.updateShake();
+    },
+
+    //Keep the view inside the `bounds`. If the view is bigger than
+    //the bounds, center it over them
+    clamp() {
+      if (!o.bounds) return;
+      let b = o.bounds;
+      if (o.viewWidth >= b.width) {
+        o.x = b.x + (b.width - o.viewWidth) / 2;
+      } else {
+        o.x = Math.max(b.x, Math.min(b.x + b.width - o.viewWidth, o.x));
+      }
+      if (o.viewHeight >= b.height) {
+        o.y = b.y + (b.height - o.viewHeight) / 2;
+      } else {
+        o.y = Math.max(b.y, Math.min(b.y + b.height - o.viewHeight, o.y));
+      }
+    },
+
+    //Shake the camera. It works like the `shake` function
+    shake(magnitude = 16, angular = false) {
+      let counter = 1,
+          numberOfShakes = 10,
+          magnitudeUnit = magnitude / numberOfShakes,
+          tiltAngle = 1;
+
+      o.updateShake = () => {
+        if (counter < numberOfShakes) {
+          magnitude -= magnitudeUnit;
+          if (angular) {
+            o.shakeAngle = magnitude * tiltAngle;
+            tiltAngle *= -1;
+          } else {
+            o.shakeX = randomInt(-magnitude, magnitude);
+            o.shakeY = randomInt(-magnitude, magnitude);
+          }
+          counter += 1;
+        } else {
+          o.shakeX = 0;
+          o.shakeY = 0;
+          o.shakeAngle = 0;
+          o.updateShake = undefined;
+        }
+      };
+    },
+
+    //The camera's matrix. It converts world positions to canvas
+    //positions. The `render` function uses it to display the world
+    get transform() {
+      return new Matrix()
+        .translate(o.width / 2 + o.shakeX, o.height / 2 + o.shakeY)
+        .rotate(-o.rotation + o.shakeAngle)
+        .scale(o.zoom, o.zoom)
+        .translate(-o.centerX, -o.centerY);
+    },
+
+    //Apply the camera to a canvas context
+    applyTransform(ctx) {
+      let m = o.transform;
+      ctx.transform(m.a, m.b, m.c, m.d, m.tx, m.ty);
+    },
+
+    //Convert a canvas position to a world position. You can supply
+    //x and y values, or an object with `x` and `y` properties, like the pointer
+    screenToWorld(x, y) {
+      if (x.x !== undefined) ({x, y} = x);
+      let dx = x - o.width / 2 - o.shakeX,
+          dy = y - o.height / 2 - o.shakeY,
+          angle = o.rotation - o.shakeAngle,
+          cos = Math.cos(angle),
+          sin = Math.sin(angle);
+      return {
+        x: (dx * cos - dy * sin) / o.zoom + o.centerX,
+        y: (dx * sin + dy * cos) / o.zoom + o.centerY
+      };
+    },
+
+    //Convert a world position to a canvas position
+    worldToScreen(x, y) {
+      if (x.x !== undefined) ({x, y} = x);
+      let dx = (x - o.centerX) * o.zoom,
+          dy = (y - o.centerY) * o.zoom,
+          angle = -o.rotation + o.shakeAngle,
+          cos = Math.cos(angle),
+          sin = Math.sin(angle);
+      return {
+        x: dx * cos - dy * sin + o.width / 2 + o.shakeX,
+        y: dx * sin + dy * cos + o.height / 2 + o.shakeY
+      };
+    },
+
+    //The rectangle of the world that's visible through the camera.
+    //If the camera is rotated, it's the rectangle that surrounds the
+    //rotated view
+    get visibleArea() {
+      let corners = [
+            o.screenToWorld(0, 0),
+            o.screenToWorld(o.width, 0),
+            o.screenToWorld(o.width, o.height),
+            o.screenToWorld(0, o.height)
+          ],
+          xs = corners.map(corner => corner.x),
+          ys = corners.map(corner => corner.y),
+          left = Math.min(...xs),
+          top = Math.min(...ys);
+      return {
+        x: left,
+        y: top,
+        width: Math.max(...xs) - left,
+        height: Math.max(...ys) - top
+      };
+    }
+  };
+
+  //The `randomInt` helper function
+  let randomInt = (min, max) => {
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+  };
+
+  //Attach the camera to the world so that `render` can find it
+  world.camera = o;
+  cameras.push(o);
+
+  return o;
+}
+
+/*
+removeCamera
+------------
+
+Remove a camera, so that its world is displayed normally again.
+*/
+
+export function removeCamera(cameraToRemove) {
+  let index = cameras.indexOf(cameraToRemove);
+  if (index !== -1) cameras.splice(index, 1);
+  if (cameraToRemove.world.camera === cameraToRemove) {
+    cameraToRemove.world.camera = undefined;
+  }
+}
+
 /*
 ### progressBar
 Use the `progressBar` to display the percentage of assetes being loaded.
@@ -4,9 +4,14 @@ module collision from "../library/collision";
 module interactive from "../library/interactive";
 module sound from "../library/sound";
 module tween from "../library/tween";
+module vector from "../library/vector";
+module matrix from "../library/matrix";
+module physics from "../library/physics";
 
 export class Game {
-  constructor(width = 256, height = 256, setup, assetsToLoad, load) {
+  constructor(
+    width = 256, height = 256, setup, assetsToLoad, load, options = {}
+  ) {
     //Copy all the imported library code into 
     //properties on this class
     Object.assign(this, utilities);
@@ -15,15 +20,35 @@ export class Game {
     Object.assign(this, interactive);
     Object.assign(this, sound);
     Object.assign(this, tween);
-
-    //Make the canvas and initialize the stage
-    this.canvas = this.makeCanvas(width, height, "none");
+    Object.assign(this, vector);
+    Object.assign(this, matrix);
+    Object.assign(this, physics);
+
+    //Should the game run without a browser? A `headless` game
+    //doesn't use `requestAnimationFrame` or the DOM. Run it frame by
+    //frame with the `step` method
+    this.headless = options.headless || false;
+
+    //Make the canvas and initialize the stage. You can supply your own
+    //canvas, or a stub object with a `ctx` property, in the `options`.
+    //The `renderer` option chooses how the sprites are drawn: "canvas"
+    //(the default) or "webgl"
+    let renderer = options.renderer || "canvas";
+    if (options.canvas) {
+      this.canvas = options.canvas;
+      if (!this.canvas.style) this.canvas.style = {};
+    } else if (this.headless) {
+      this.canvas = this.makeHeadlessCanvas(width, height, renderer);
+    } else {
+      this.canvas = this.makeCanvas(width, height, "none", "white", renderer);
+    }
     this.canvas.style.backgroundColor = "white";
     this.stage.width = this.canvas.width;
     this.stage.height = this.canvas.height;
 
-    //Make the pointer
-    this.pointer = this.makePointer(this.canvas);
+    //Make the pointer. A headless pointer doesn't listen for
+    //mouse or touch events
+    this.pointer = this.makePointer(this.canvas, 1, !this.headless);
 
     //The game's scale
     this.scale = 1;
@@ -40,6 +65,31 @@ export class Game {
 
     //A Boolean to let us pause the game
     this.paused = false;
+
+    //Optional fixed-timestep properties. If `fps` is `undefined` the
+    //game logic runs once each time the browser draws a frame.
+    //Set `fps` to a number to update the game logic at a fixed rate,
+    //no matter how fast the monitor refreshes. `renderFps` optionally
+    //limits how often the canvas is drawn, and `interpolate` smooths
+    //the sprites' positions in between the logic updates
+    this.fps = undefined;
+    this.renderFps = undefined;
+    this.interpolate = true;
+
+    //Private properties to help track the time for the
+    //fixed-timestep loop
+    this._previous = undefined;
+    this._lag = 0;
+    this._renderStartTime = 0;
+
+    //The `lagOffset` tells you how far into the next logic update
+    //the most recently rendered frame was
+    this.lagOffset = 0;
+
+    //The scene stack. The scene at the end of the array is the
+    //current scene. Use `pushScene`, `popScene` and `replaceScene`
+    //to change it
+    this.scenes = [];
     
     //The `setup` function is required, so throw an error if it's
     //missing
@@ -51,9 +101,97 @@ export class Game {
   }
 
   //The game loop
-  gameLoop() {
+  gameLoop(timestamp) {
     requestAnimationFrame(this.gameLoop.bind(this));
 
+    //If there's no `fps` value, update the logic and render the
+    //canvas once per frame
+    if (this.fps === undefined) {
+      this.update(this.elapsedTime(timestamp));
+      this.render(this.canvas);
+    }
+
+    //If there is an `fps` value, update the logic at that fixed
+    //rate and render the canvas as often as the browser (or the
+    //optional `renderFps`) allows
+    else {
+      this.fixedStep(timestamp);
+    }
+  }
+
+  //`elapsedTime` returns the number of milliseconds since the
+  //previous frame, and remembers the `timestamp` for the next frame
+  elapsedTime(timestamp, frameDuration = 1000 / 60) {
+
+    //The `gameLoop` isn't called by `requestAnimationFrame` the very
+    //first time it runs, so it won't have a `timestamp`
+    if (timestamp === undefined) timestamp = performance.now();
+    if (this._previous === undefined) this._previous = timestamp;
+
+    //Calculate the time that has elapsed since the last frame
+    let elapsed = timestamp - this._previous;
+
+    //Correct any unexpected huge gaps in the elapsed time, like
+    //the ones that happen when the browser tab is switched
+    if (elapsed > 1000) elapsed = frameDuration;
+
+    //Capture the current time to be used as the previous
+    //time in the next frame
+    this._previous = timestamp;
+    return elapsed;
+  }
+
+  //`fixedStep` runs the game logic as many times as it needs to
+  //catch up with the time that has elapsed since the last frame
+  fixedStep(timestamp) {
+    if (timestamp === undefined) timestamp = performance.now();
+
+    //Find the frame duration in milliseconds
+    let frameDuration = 1000 / this.fps;
+
+    //Add the elapsed time to the lag counter
+    this._lag += this.elapsedTime(timestamp, frameDuration);
+
+    //Update the logic if the lag counter is greater than or
+    //equal to the frame duration
+    while (this._lag >= frameDuration) {
+
+      //Capture the sprites' previous positions for interpolation
+      if (this.interpolate) this.capturePreviousPositions(this.stage);
+
+      //Update the logic
+      this.update(frameDuration);
+
+      //Reduce the lag counter by the frame duration
+      this._lag -= frameDuration;
+    }
+
+    //Calculate the lag offset. This tells us how far
+    //we are into the next logic update
+    this.lagOffset = this._lag / frameDuration;
+
+    //Render the canvas, but only if the optional `renderFps`
+    //frame duration has passed
+    if (this.renderFps === undefined || timestamp >= this._renderStartTime) {
+      if (this.interpolate) {
+        this.renderWithInterpolation(this.canvas, this.lagOffset);
+      } else {
+        this.render(this.canvas);
+      }
+
+      //Reset the render start time
+      if (this.renderFps !== undefined) {
+        this._renderStartTime = timestamp + 1000 / this.renderFps;
+      }
+    }
+  }
+
+  //The `update` method runs all the game logic once. It updates the
+  //buttons, particles, tweens, shaking sprites, drag-and-drop,
+  //the current game `state` and the cameras. `dt` is the number of
+  //milliseconds that the update represents, which time-based tweens use
+  update(dt = 1000 / 60) {
+
     //Update all the buttons
     if (this.buttons.length > 0) {
       this.canvas.style.cursor = "auto";
@@ -79,7 +217,7 @@ export class Game {
     if (this.tweens.length > 0) {
       for(let i = this.tweens.length - 1; i >= 0; i--) {
         let tween = this.tweens[i];
-        if (tween) tween.update();
+        if (tween) tween.update(dt);
       }
     }
     
@@ -91,6 +229,16 @@ export class Game {
       }
     }
     
+    //Step all the physics worlds, unless the game is paused
+    if (this.physicsWorlds.length > 0 && !this.paused) {
+      this.physicsWorlds.forEach(world => world.update(dt));
+    }
+
+    //Update all the collision managers, unless the game is paused
+    if (this.collisionManagers.length > 0 && !this.paused) {
+      this.collisionManagers.forEach(manager => manager.update());
+    }
+
     //Update the pointer for drag and drop
     if (this.draggableSprites.length > 0) {
       this.pointer.updateDragAndDrop(this.draggableSprites);
@@ -102,9 +250,22 @@ export class Game {
       this.state();
     }
 
-    //Render the canvas
-    this.render(this.canvas);
+    //Run the current scene's `update` hook
+    let scene = this.currentScene;
+    if (scene && scene.update && !this.paused) {
+      scene.update(scene.root);
+    }
+
+    //Update the cameras last, so that they follow the sprites'
+    //new positions
+    if (this.cameras.length > 0) {
+      this.cameras.forEach(camera => camera.update());
+    }
 
+    //Scroll the parallax layers to match the cameras
+    if (this.parallaxLayers.length > 0) {
+      this.parallaxLayers.forEach(layer => layer.update());
+    }
   }
 
   //The `start` method that gets the whole engine going. This needs to
@@ -139,8 +300,38 @@ export class Game {
       this.setup();
     }
 
-    //Start the game loop
-    this.gameLoop();
+    //Start the game loop, unless the game is headless. Headless
+    //games are run with the `step` method
+    if (!this.headless) this.gameLoop();
+  }
+
+  //`step` runs the game logic for the given number of frames and then
+  //renders the canvas once. Use it to run a headless game frame
+  //by frame:
+  //
+  //    let g = game(512, 512, setup, undefined, undefined, {headless: true});
+  //    g.start();
+  //    g.step(60);
+  //
+  step(frames = 1) {
+
+    //Each step lasts for one fixed frame, or one 60th of a second
+    let frameDuration = 1000 / (this.fps || 60);
+
+    for (let i = 0; i < frames; i++) {
+
+      //Capture the sprites' previous positions if the game is using
+      //a fixed timestep with interpolation
+      if (this.fps !== undefined && this.interpolate) {
+        this.capturePreviousPositions(this.stage);
+      }
+
+      //Update the logic
+      this.update(frameDuration);
+    }
+
+    //Render the canvas
+    this.render(this.canvas);
   }
 
   //Pause and resume methods
@@ -151,9 +342,156 @@ export class Game {
     this.paused = false;
   }
 
+  /* Scenes */
+
+  //A scene is an ordinary object with optional `enter`, `exit`,
+  //`update`, `pause` and `resume` hooks. When a scene is added to
+  //the `scenes` stack it's given a `root` group on the `stage`, and
+  //any sprites that belong to the scene should be added to it:
+  //
+  //    let titleScene = {
+  //      enter(root) {
+  //        root.addChild(g.sprite(g.assets["title.png"]));
+  //      },
+  //      update(root) {
+  //        //Runs in a loop while this is the current scene
+  //      }
+  //    };
+  //    g.pushScene(titleScene, {type: "fade", frames: 30});
+  //
+  //The optional `transition` can be "fade" or "slide", or an object
+  //with `type`, `frames` and, for slides, a `direction` of "left",
+  //"right", "up" or "down"
+
+  //The current scene is the last scene in the `scenes` stack
+  get currentScene() {
+    return this.scenes[this.scenes.length - 1];
+  }
+
+  //`pushScene` pauses the current scene and displays the new scene
+  //above it
+  pushScene(scene, transition = undefined) {
+    let previousScene = this.currentScene;
+    if (previousScene && previousScene.pause) {
+      previousScene.pause(previousScene.root);
+    }
+    this.scenes.push(scene);
+    this.enterScene(scene, transition);
+  }
+
+  //`popScene` removes the current scene and resumes the one below it
+  popScene(transition = undefined) {
+    let scene = this.scenes.pop();
+    if (scene) this.exitScene(scene, transition);
+    let nextScene = this.currentScene;
+    if (nextScene && nextScene.resume) nextScene.resume(nextScene.root);
+    return scene;
+  }
+
+  //`replaceScene` swaps the current scene for a new one
+  replaceScene(scene, transition = undefined) {
+    let previousScene = this.scenes.pop();
+    if (previousScene) this.exitScene(previousScene, transition);
+    this.scenes.push(scene);
+    this.enterScene(scene, transition);
+    return previousScene;
+  }
+
+  //`enterScene` creates the scene's `root` group, calls its `enter`
+  //hook, and plays the incoming half of the transition
+  enterScene(scene, transition) {
+    scene.root = this.group();
+    if (scene.enter) scene.enter(scene.root);
+    transition = this.makeTransition(transition);
+    if (transition) {
+
+      //Fade the scene in
+      if (transition.type === "fade") {
+        scene.root.alpha = 0;
+        this.fadeIn(scene.root, transition.frames);
+      }
+
+      //Slide the scene in from the edge of the stage
+      else if (transition.type === "slide") {
+        let offset = this.slideOffset(transition.direction);
+        scene.root.x = -offset.x;
+        scene.root.y = -offset.y;
+        this.slide(scene.root, 0, 0, transition.frames, transition.easing);
+      }
+    }
+  }
+
+  //`exitScene` calls the scene's `exit` hook, plays the outgoing half
+  //of the transition, and then removes the scene's `root` group
+  exitScene(scene, transition) {
+    let root = scene.root,
+        tween;
+    if (scene.exit) scene.exit(root);
+    scene.root = undefined;
+    transition = this.makeTransition(transition);
+    if (transition) {
+
+      //Fade the scene out
+      if (transition.type === "fade") {
+        tween = this.fadeOut(root, transition.frames);
+      }
+
+      //Slide the scene off the opposite edge of the stage
+      else if (transition.type === "slide") {
+        let offset = this.slideOffset(transition.direction);
+        tween = this.slide(
+          root, root.x + offset.x, root.y + offset.y,
+          transition.frames, transition.easing
+        );
+      }
+    }
+
+    //Remove the scene's sprites when the transition has finished,
+    //or right away if there isn't a transition
+    if (tween) {
+      tween.onComplete = () => this.remove(root);
+    } else {
+      this.remove(root);
+    }
+  }
+
+  //`makeTransition` converts a transition string, like "fade", into a
+  //transition object with default values
+  makeTransition(transition) {
+    if (!transition) return undefined;
+    if (typeof transition === "string") transition = {type: transition};
+    if (transition.type !== "fade" && transition.type !== "slide") {
+      throw new Error(`${transition.type} is not a scene transition`);
+    }
+    return Object.assign(
+      {frames: 30, direction: "left", easing: ["decelerationCubed"]},
+      transition
+    );
+  }
+
+  //`slideOffset` returns the distance that a scene should move to
+  //slide across the stage in the given direction
+  slideOffset(direction) {
+    switch (direction) {
+      case "left":
+        return {x: -this.stage.width, y: 0};
+      case "right":
+        return {x: this.stage.width, y: 0};
+      case "up":
+        return {x: 0, y: -this.stage.height};
+      case "down":
+        return {x: 0, y: this.stage.height};
+      default:
+        throw new Error(`${direction} is not a slide direction`);
+    }
+  }
+
   //Center and scale the game engine inside the HTML page 
   scaleToWindow(backgroundColor = "#2C3539") {
 
+    //There's no window to scale to if the game is headless
+    if (this.headless) return;
+
     let scaleX, scaleY, scale, center;
     
     //1. Scale the canvas to the correct size
@@ -225,13 +563,31 @@ export class Game {
 game
 ----
 A high level wrapper for creating a game
+
+To run the game logic at a fixed rate and smoothly interpolate the
+sprites' positions when they're rendered, set the `fps` property:
+
+    let g = game(512, 512, setup);
+    g.fps = 30;
+    g.start();
+
+Set `renderFps` to limit the rendering rate, and set `interpolate` to
+`false` to turn off interpolation.
+
+The optional last argument is an `options` object. Set `headless` to
+`true` to run the game without a browser, and use `canvas` to supply
+your own canvas or canvas stub:
+
+    let g = game(512, 512, setup, undefined, undefined, {headless: true});
+    g.start();
+    g.step(10);
 */
 
 export function game(
   width = 256, height = 256,
-  setup, assetsToLoad, load
+  setup, assetsToLoad, load, options
 ) {
-  return new Game(width, height, setup, assetsToLoad, load);
+  return new Game(width, height, setup, assetsToLoad, load, options);
 }
 
 
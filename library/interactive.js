@@ -15,9 +15,12 @@ makePointer
 Makes a pointer object that unifies touch and mouse interactivity.
 The pointer has `x` and `y` properties and `isUp`, `isDown` and
 `tapped` Boolean states.
+Set `bindEvents` to `false` to make a pointer that doesn't listen
+for browser events. You can then set its private `_x`, `_y`,
+`isDown` and `isUp` properties yourself, which is useful for testing.
 */
 
-export function makePointer(element, scale = 1) {
+export function makePointer(element, scale = 1, bindEvents = true) {
 
   let pointer = {
     element: element,
@@ -179,6 +182,28 @@ export function makePointer(element, scale = 1) {
       event.preventDefault();
     },
 
+    //`positionOver` returns the pointer's position in the same
+    //coordinates as a sprite's `gx` and `gy`. If the sprite is inside
+    //a world that has a camera, the camera converts the
+    //pointer's canvas position to a world position
+    positionOver(sprite) {
+      let parent = sprite.parent;
+      while (parent) {
+        if (parent.camera) return parent.camera.screenToWorld(this.x, this.y);
+        parent = parent.parent;
+      }
+      return {x: this.x, y: this.y};
+    },
+
+    //`positionInParent` returns the pointer's position in the
+    //coordinates of the sprite's parent, which is what the sprite's
+    //`x` and `y` values are measured in
+    positionInParent(sprite) {
+      let position = this.positionOver(sprite);
+      if (sprite.parent) position = sprite.parent.toLocal(position) || position;
+      return position;
+    },
+
     //`hitTestSprite` figures out if the pointer is touching a sprite
     hitTestSprite(sprite) {
 
@@ -186,22 +211,30 @@ export function makePointer(element, scale = 1) {
       //touching the sprite and remain `false` if it isn't
       let hit = false;
 
+      //Convert the pointer's position to the sprite's own
+      //coordinates, where 0,0 is the sprite's top left corner. That
+      //takes the rotation and scale of the sprite and its parents into account
+      let point = sprite.toLocal(this.positionOver(sprite));
+
+      //A sprite that's been scaled to nothing can't be touched
+      if (!point) return false;
+      let {x, y} = point;
+
       //Is the sprite rectangular?
       if (!sprite.circular) {
 
-        //Get the position of the sprite's edges using global
-        //coordinates
-        let left = sprite.gx,
-            right = sprite.gx + sprite.width,
-            top = sprite.gy,
-            bottom = sprite.gy + sprite.height;
+        //Get the position of the sprite's edges
+        let left = 0,
+            right = sprite.width,
+            top = 0,
+            bottom = sprite.height;
 
         //Find out if the pointer is intersecting the rectangle.
         //`hit` will become `true` if the pointer is inside the
         //sprite's area
         hit 
-          = this.x > left && this.x < right 
-          && this.y > top && this.y < bottom;
+          = x > left && x < right 
+          && y > top && y < bottom;
       }
 
       //Is the sprite circular?
@@ -209,8 +242,8 @@ export function makePointer(element, scale = 1) {
 
         //Find the distance between the pointer and the
         //center of the circle
-        let vx = this.x - (sprite.gx + sprite.radius),
-            vy = this.y - (sprite.gy + sprite.radius),
+        let vx = x - sprite.radius,
+            vy = y - sprite.radius,
             distance = Math.sqrt(vx * vx + vy * vy);
 
         //The pointer is intersecting the circle if the
@@ -240,8 +273,9 @@ export function makePointer(element, scale = 1) {
 
               //Calculate the difference between the pointer's
               //position and the sprite's position
-              this.dragOffsetX = this.x - sprite.gx;
-              this.dragOffsetY = this.y - sprite.gy;
+              let position = this.positionInParent(sprite);
+              this.dragOffsetX = position.x - sprite.x;
+              this.dragOffsetY = position.y - sprite.y;
 
               //Set the sprite as the pointer's `dragSprite` property
               this.dragSprite = sprite;
@@ -270,8 +304,9 @@ export function makePointer(element, scale = 1) {
         //If the pointer is down and it has a `dragSprite`, make the sprite follow the pointer's
         //position, with the calculated offset
         else {
-          this.dragSprite.x = this.x - this.dragOffsetX;
-          this.dragSprite.y = this.y - this.dragOffsetY;
+          let position = this.positionInParent(this.dragSprite);
+          this.dragSprite.x = position.x - this.dragOffsetX;
+          this.dragSprite.y = position.y - this.dragOffsetY;
         }
       }
 
@@ -294,6 +329,10 @@ export function makePointer(element, scale = 1) {
     }
   };
 
+  //Return the pointer without binding any events if `bindEvents`
+  //is `false`
+  if (!bindEvents) return pointer;
+
   //Bind the events to the handlers
   //Mouse events
   element.addEventListener(
@@ -0,0 +1,119 @@
+/*
+matrix.js
+=========
+
+This JavaScript file contains a 2D affine transformation matrix.
+A matrix describes how to move, rotate and scale points from one
+coordinate space to another. The display objects use them to find out
+where their points are on the canvas, whatever the rotation and scale
+of their parent containers.
+
+Make a matrix with the `matrix` function:
+
+    let m = matrix().translate(100, 50).rotate(Math.PI / 4);
+
+The matrix has the same `a`, `b`, `c`, `d`, `tx` and `ty` values as the
+canvas context's `setTransform` method, so you can apply it to a context
+like this:
+
+    ctx.setTransform(m.a, m.b, m.c, m.d, m.tx, m.ty);
+
+Matrices have these methods:
+
+- multiply, translate, rotate, scale, invert, apply, applyInverse,
+  clone
+
+Like vectors, the methods don't change the matrix. They return a new
+matrix, so you can chain them together.
+
+*/
+
+/*
+Matrix
+------
+
+A Matrix class
+*/
+
+export class Matrix {
+  constructor(a = 1, b = 0, c = 0, d = 1, tx = 0, ty = 0) {
+    this.a = a;
+    this.b = b;
+    this.c = c;
+    this.d = d;
+    this.tx = tx;
+    this.ty = ty;
+  }
+
+  clone() {
+    return new Matrix(this.a, this.b, this.c, this.d, this.tx, this.ty);
+  }
+
+  //Multiply this matrix by another matrix. The result applies the
+  //other matrix first, and then this one. (That's the same order
+  //that the canvas context's `transform` method uses)
+  multiply(m) {
+    return new Matrix(
+      this.a * m.a + this.c * m.b,
+      this.b * m.a + this.d * m.b,
+      this.a * m.c + this.c * m.d,
+      this.b * m.c + this.d * m.d,
+      this.a * m.tx + this.c * m.ty + this.tx,
+      this.b * m.tx + this.d * m.ty + this.ty
+    );
+  }
+
+  //Move, rotate (in radians) and scale the matrix, like the canvas
+  //context's methods with the same names
+  translate(x, y) {
+    return this.multiply(new Matrix(1, 0, 0, 1, x, y));
+  }
+
+  rotate(angle) {
+    let cos = Math.cos(angle),
+        sin = Math.sin(angle);
+    return this.multiply(new Matrix(cos, sin, -sin, cos, 0, 0));
+  }
+
+  scale(x, y = x) {
+    return this.multiply(new Matrix(x, 0, 0, y, 0, 0));
+  }
+
+  //Return the matrix that undoes this matrix. A matrix that
+  //squashes everything down to a line or a point (if one of the scales
+  //is 0) can't be undone, so it returns `undefined`
+  invert() {
+    let determinant = this.a * this.d - this.b * this.c;
+    if (determinant === 0) return undefined;
+    return new Matrix(
+      this.d / determinant,
+      -this.b / determinant,
+      -this.c / determinant,
+      this.a / determinant,
+      (this.c * this.ty - this.d * this.tx) / determinant,
+      (this.b * this.tx - this.a * this.ty) / determinant
+    );
+  }
+
+  //Transform a point. The point can be any object with `x` and `y`
+  //properties
+  apply(point) {
+    return {
+      x: this.a * point.x + this.c * point.y + this.tx,
+      y: this.b * point.x + this.d * point.y + this.ty
+    };
+  }
+
+  //Transform a point backwards, with the inverse of the matrix.
+  //If the matrix can't be inverted, it returns `undefined`
+  applyInverse(point) {
+    let inverse = this.invert();
+    return inverse ? inverse.apply(point) : undefined;
+  }
+}
+
+//A higher level wrapper for making matrices. With no arguments, it
+//makes the identity matrix, which doesn't change anything
+export function matrix(a, b, c, d, tx, ty) {
+  return new Matrix(a, b, c, d, tx, ty);
+}
@@ -0,0 +1,413 @@
+/*
+physics.js
+==========
+
+This JavaScript file contains a lightweight rigid-body physics world.
+Make a world, and then add sprites to it to give them physics bodies:
+
+    let world = physicsWorld(0, 0.3);
+    let ball = world.add(circle(32, "red"), {restitution: 0.8});
+    let floor = world.add(rectangle(512, 32, "gray"), {type: "static"});
+
+Bodies use the sprite's `vx` and `vy` properties as their velocity,
+so you can keep moving the sprites the way you always have. The world
+adds gravity, forces and drag to the velocities, moves the sprites,
+and then uses `hitTestShapes` from `collision.js` to find out which bodies
+are touching and push them apart with impulses.
+
+All the worlds are kept in the `physicsWorlds` array, and the
+engine steps them each frame. If you're not using the engine, call
+each world's `update` method in your game loop:
+
+    world.update();
+
+Bodies can have these options:
+
+- `type`: "dynamic" bodies are moved by gravity, forces and
+  collisions. "kinematic" bodies move with their own `vx` and `vy`, and push
+  dynamic bodies out of the way, but aren't moved by anything else.
+  "static" bodies don't move at all. The default is "dynamic".
+- `mass`: How heavy the body is. Heavier bodies push lighter
+  bodies around. The default is 1.
+- `restitution`: How bouncy the body is, from 0 (not bouncy) to 1 (a
+  perfect bounce). The default is 0.2.
+- `friction`: How much the body slows down when it slides against
+  another body, from 0 to 1. The default is 0.2.
+- `drag`: The fraction of its velocity that the body loses each
+  frame, like air resistance. The default is 0.
+
+*/
+
+//Dependencies
+import {hitTestShapes, spatialHash} from "../library/collision";
+
+//The `physicsWorlds` array stores all the physics worlds
+export let physicsWorlds = [];
+
+/*
+physicsWorld
+------------
+
+Make a physics world.
+Parameters:
+a. The horizontal gravity, in pixels per frame.
+b. The vertical gravity, in pixels per frame.
+*/
+
+export function physicsWorld(gravityX = 0, gravityY = 0.3) {
+  let o = {
+    gravityX: gravityX,
+    gravityY: gravityY,
+
+    //The bodies in the world
+    bodies: [],
+
+    //Collisions that are slower than the `restingSpeed` don't bounce,
+    //so that bodies can come to rest on top of each other
+    restingSpeed: 0.5,
+
+    //Bodies that move slower than the `sleepSpeed` for longer than
+    //`sleepTime` milliseconds fall asleep. (The speed is how far the body
+    //actually moved in the step, so bodies resting on each other can
+    //sleep even though gravity keeps pulling them.) Sleeping bodies
+    //aren't moved until they're woken up. That happens when something
+    //hits them, when a body they're touching is removed, moved by
+    //your code or stops touching them, or when you move them yourself
+    sleepSpeed: 0.05,
+    sleepTime: 500,
+
+    //The longest step, in milliseconds. Longer steps, like the first
+    //one after the browser tab has been in the background, are
+    //shortened to this so that the bodies don't jump through each other
+    maxStep: 100,
+
+    //The size of the cells in the spatial hash that's used to find
+    //bodies that are near each other
+    cellSize: 64,
+
+    //How many times the collisions are resolved in each step. More
+    //iterations make stacks of bodies more stable
+    iterations: 4,
+
+    //The largest number of smaller steps that a step can be split
+    //into so that fast bodies don't pass through thin bodies
+    maxSubsteps: 8,
+
+    //Give a sprite a physics body and add it to the world
+    add(sprite, options = {}) {
+      let body = makeBody(sprite, options);
+      sprite.body = body;
+      o.bodies.push(body);
+      return sprite;
+    },
+
+    //Remove sprites from the world. The bodies that they were
+    //touching wake up, so that they can fall
+    remove(...spritesToRemove) {
+      spritesToRemove.forEach(sprite => {
+        let body = sprite.body,
+            index = o.bodies.indexOf(body);
+        if (index === -1) return;
+        o.bodies.splice(index, 1);
+        body.contacts.forEach(other => {
+          other.contacts.delete(body);
+          other.wake();
+        });
+        body.contacts.clear();
+      });
+    },
+
+    //Step the world. `dt` is the number of milliseconds since the
+    //last step, up to `maxStep`. The world's velocities are in pixels
+    //per frame at 60 frames per second, so `dt` is used to scale them
+    update(dt = 1000 / 60) {
+      dt = Math.min(dt, o.maxStep);
+      let scale = dt / (1000 / 60),
+          substeps = 1;
+
+      o.bodies.forEach(body => {
+        let sprite = body.sprite;
+
+        //If your code has moved the body since the last step, wake it
+        //and the bodies it was touching
+        if (sprite.x !== body.endX || sprite.y !== body.endY) {
+          body.wake();
+          body.contacts.forEach(other => other.wake());
+        }
+
+        //Remember where the body started
+        body.startX = sprite.x;
+        body.startY = sprite.y;
+        body.touching = new Set();
+
+        //A body that moves more than half its size in one step could
+        //pass right through a thin body, so find out how many smaller
+        //steps are needed to stop that from happening
+        if (isMoving(body)) {
+          let speed = Math.sqrt(sprite.vx * sprite.vx + sprite.vy * sprite.vy),
+              halfSize = Math.min(sprite.width, sprite.height) / 2;
+          if (halfSize > 0) {
+            substeps = Math.max(substeps, Math.ceil(speed * scale / halfSize));
+          }
+        }
+      });
+
+      //Move the bodies and resolve the collisions
+      substeps = Math.min(substeps, o.maxSubsteps);
+      for (let i = 0; i < substeps; i++) {
+        step(scale / substeps);
+      }
+
+      o.bodies.forEach(body => {
+
+        //Wake bodies that have stopped touching a body. (Pairs of
+        //bodies that aren't moving aren't tested, so their contacts
+        //are kept)
+        body.contacts.forEach(other => {
+          if (body.touching.has(other)) return;
+          if (isMoving(body) || isMoving(other)) {
+            body.wake();
+            other.wake();
+          } else {
+            body.touching.add(other);
+          }
+        });
+        body.contacts = body.touching;
+        body.touching = undefined;
+
+        //Remember where the body finished, to find out if it's moved
+        //before the next step
+        body.endX = body.sprite.x;
+        body.endY = body.sprite.y;
+
+        //Forces only last for one step
+        body.forceX = 0;
+        body.forceY = 0;
+
+        //Put slow bodies to sleep
+        if (body.type !== "dynamic" || body.sleeping) return;
+        let vx = body.sprite.x - body.startX,
+            vy = body.sprite.y - body.startY,
+            speed = Math.sqrt(vx * vx + vy * vy) / scale;
+        if (speed < o.sleepSpeed) {
+          body.idleTime += dt;
+          if (body.idleTime > o.sleepTime) body.sleep();
+        } else {
+          body.idleTime = 0;
+        }
+      });
+    }
+  };
+
+  //`step` moves the bodies and resolves their collisions. The `scale`
+  //is the fraction of a 60 frames per second frame to move them by
+  function step(scale) {
+    let hash = spatialHash(o.cellSize);
+
+    o.bodies.forEach(body => {
+      let sprite = body.sprite;
+
+      //Move the awake dynamic and kinematic bodies
+      if (isMoving(body)) {
+        if (body.type === "dynamic") {
+
+          //Apply gravity and any forces
+          sprite.vx += (o.gravityX + body.forceX * body.inverseMass) * scale;
+          sprite.vy += (o.gravityY + body.forceY * body.inverseMass) * scale;
+
+          //Apply drag
+          if (body.drag > 0) {
+            let damping = Math.pow(1 - body.drag, scale);
+            sprite.vx *= damping;
+            sprite.vy *= damping;
+          }
+        }
+        sprite.x += sprite.vx * scale;
+        sprite.y += sprite.vy * scale;
+      }
+
+      hash.add(sprite);
+    });
+
+    //Find the pairs of bodies that are near each other. Only
+    //resolve collisions that involve a dynamic body and a body
+    //that's moving
+    let pairs = hash.pairs().filter(([spriteA, spriteB]) => {
+      let a = spriteA.body,
+          b = spriteB.body;
+      return a.inverseMass + b.inverseMass > 0 && (isMoving(a) || isMoving(b));
+    });
+
+    //Find the bodies that are touching, and push them apart
+    for (let i = 0; i < o.iterations; i++) {
+      pairs.forEach(([spriteA, spriteB]) => {
+        let mtv = hitTestShapes(spriteA, spriteB, true);
+        if (mtv) {
+          spriteA.body.touching.add(spriteB.body);
+          spriteB.body.touching.add(spriteA.body);
+          resolve(spriteA.body, spriteB.body, mtv);
+        }
+      });
+    }
+  }
+
+  //`resolve` pushes two touching bodies apart, and changes their
+  //velocities with an impulse so that they bounce and slide
+  function resolve(a, b, mtv) {
+    let spriteA = a.sprite,
+        spriteB = b.sprite,
+        normal = mtv.normal,
+        totalInverseMass = a.inverseMass + b.inverseMass;
+
+    //Wake up a sleeping body if the other body hit it
+    if (a.sleeping && !b.sleeping) a.wake();
+    if (b.sleeping && !a.sleeping) b.wake();
+
+    //Move the bodies out of the collision, in proportion to
+    //their masses. (The `normal` points in the direction that `a`
+    //needs to move)
+    spriteA.x += mtv.x * a.inverseMass / totalInverseMass;
+    spriteA.y += mtv.y * a.inverseMass / totalInverseMass;
+    spriteB.x -= mtv.x * b.inverseMass / totalInverseMass;
+    spriteB.y -= mtv.y * b.inverseMass / totalInverseMass;
+
+    //Find the relative velocity along the normal. If it's positive
+    //the bodies are already moving apart
+    let vx = spriteA.vx - spriteB.vx,
+        vy = spriteA.vy - spriteB.vy,
+        speedAlongNormal = vx * normal.x + vy * normal.y;
+    if (speedAlongNormal > 0) return;
+
+    //Use the lowest restitution, unless the bodies are hardly moving
+    let restitution = Math.min(a.restitution, b.restitution);
+    if (-speedAlongNormal < o.restingSpeed) restitution = 0;
+
+    //The bounce impulse
+    let impulse = -(1 + restitution) * speedAlongNormal / totalInverseMass;
+    applyImpulse(a, b, normal.x * impulse, normal.y * impulse);
+
+    //The friction impulse works along the collision surface, in the
+    //opposite direction to the relative velocity
+    vx = spriteA.vx - spriteB.vx;
+    vy = spriteA.vy - spriteB.vy;
+    let tangentX = -normal.y,
+        tangentY = normal.x,
+        speedAlongTangent = vx * tangentX + vy * tangentY,
+        friction = Math.sqrt(a.friction * b.friction),
+        frictionImpulse = -speedAlongTangent / totalInverseMass;
+
+    //The friction can't be stronger than the bounce impulse
+    //multiplied by the friction
+    let limit = impulse * friction;
+    frictionImpulse = Math.max(-limit, Math.min(limit, frictionImpulse));
+    applyImpulse(a, b, tangentX * frictionImpulse, tangentY * frictionImpulse);
+  }
+
+  //Is the body awake and able to move?
+  function isMoving(body) {
+    return body.type !== "static" && !body.sleeping;
+  }
+
+  //Apply an impulse to `a`, and the opposite impulse to `b`
+  function applyImpulse(a, b, impulseX, impulseY) {
+    a.sprite.vx += impulseX * a.inverseMass;
+    a.sprite.vy += impulseY * a.inverseMass;
+    b.sprite.vx -= impulseX * b.inverseMass;
+    b.sprite.vy -= impulseY * b.inverseMass;
+  }
+
+  //Add the world to the `physicsWorlds` array so the engine steps it
+  physicsWorlds.push(o);
+
+  return o;
+}
+
+/*
+removeWorld
+-----------
+
+Remove a physics world so that the engine stops updating it.
+*/
+
+export function removeWorld(world) {
+  let index = physicsWorlds.indexOf(world);
+  if (index !== -1) physicsWorlds.splice(index, 1);
+}
+
+//`makeBody` creates the body object that's attached to a sprite
+function makeBody(sprite, options) {
+  let {
+    type = "dynamic",
+    mass = 1,
+    restitution = 0.2,
+    friction = 0.2,
+    drag = 0
+  } = options;
+
+  if (type !== "dynamic" && type !== "kinematic" && type !== "static") {
+    throw new Error(`${type} is not a body type. Use "dynamic", "kinematic" or "static"`);
+  }
+
+  //Make sure the sprite has a velocity
+  if (sprite.vx === undefined) sprite.vx = 0;
+  if (sprite.vy === undefined) sprite.vy = 0;
+
+  let body = {
+    sprite: sprite,
+    type: type,
+    mass: mass,
+    restitution: restitution,
+    friction: friction,
+    drag: drag,
+
+    //Only dynamic bodies can be moved by collisions, so the
+    //other bodies behave as if they had infinite mass
+    inverseMass: type === "dynamic" && mass > 0 ? 1 / mass : 0,
+
+    //The forces that will be applied in the next step
+    forceX: 0,
+    forceY: 0,
+
+    //The sleep state
+    sleeping: false,
+    idleTime: 0,
+
+    //The body's position at the start and end of the step
+    startX: sprite.x,
+    startY: sprite.y,
+    endX: sprite.x,
+    endY: sprite.y,
+
+    //The bodies that it's touching
+    contacts: new Set(),
+    touching: undefined,
+
+    //Push the body with a force. Forces are applied in the next step,
+    //and are divided by the body's mass
+    applyForce(x, y) {
+      body.forceX += x;
+      body.forceY += y;
+      body.wake();
+    },
+
+    //Change the body's velocity immediately, like a kick
+    applyImpulse(x, y) {
+      sprite.vx += x * body.inverseMass;
+      sprite.vy += y * body.inverseMass;
+      body.wake();
+    },
+
+    sleep() {
+      body.sleeping = true;
+      sprite.vx = 0;
+      sprite.vy = 0;
+    },
+
+    wake() {
+      body.sleeping = false;
+      body.idleTime = 0;
+    }
+  };
+
+  return body;
+}
@@ -1,5 +1,8 @@
-//Create the audio context
-let actx = new AudioContext();
+//Create the audio context. It won't exist if the code is running
+//outside a browser, like in a headless game
+let actx = typeof AudioContext !== "undefined"
+  ? new AudioContext()
+  : undefined;
 
 //The sound object
 class Sound {
@@ -6,34 +6,34 @@ An array to store all the tweens in the game
 
 export let tweens = [];
 
-//Easing functions
+/*
+tweenTiming
+-----------
+By default, tween durations are measured in frames. To measure a
+tween's duration in milliseconds instead, set its `timeBased` property
+to `true` straight after you make it:
+
+    let tween = slide(sprite, 128, 128, 500);
+    tween.timeBased = true;
+
+Timelines have a `timeBased` option:
+
+    let intro = timeline({timeBased: true});
+
+Time-based tweens are advanced by the number of milliseconds that are
+passed to their `update` method each frame, so they play at the same
+speed on any monitor. Frame-based tweens ignore that value. All the
+other tweens in the game, like scene transitions, keep measuring
+their durations in frames.
+*/
+
+export let tweenTiming = {
 
-//Linear
-let linear = x => x;
-
-//Smoothstep
-let smoothstep = x => x * x * (3 - 2 * x);
-let smoothstepSquared = x => Math.pow((x * x * (3 - 2 * x)), 2);
-let smoothstepCubed = x => Math.pow((x * x * (3 - 2 * x)), 3);
-
-//Acceleration
-let acceleration = x => x * x;
-let accelerationCubed = x => Math.pow(x * x, 3);
-
-//Deceleration
-let deceleration = x => 1 - Math.pow(1 - x, 2);
-let decelerationCubed = x => 1 - Math.pow(1 - x, 3);
-
-//Sine
-let sine = x => Math.sin(x * Math.PI / 2);
-let sineSquared = x => Math.pow(Math.sin(x * Math.PI / 2), 2);
-let sineCubed = x => Math.pow(Math.sin(x * Math.PI / 2), 2);
-let inverseSine = x => 1 - Math.sin((1 - x) * Math.PI / 2);
-let inverseSineSquared = x => 1 - Math.pow(Math.sin((1 - x) * Math.PI / 2), 2);
-let inverseSineCubed = x => 1 - Math.pow(Math.sin((1 - x) * Math.PI / 2), 3);
-//`sineComplete` uses the whole sine curve, and the effect is the same as
-//smoothstep, but more computationally expensive.
-let sineComplete = x => 0.5 - Math.cos(-x * Math.PI) * 0.5;
+  //The elapsed time to use if `update` is called without one
+  defaultDelta: 1000 / 60
+};
+
+//Easing functions
 
 //Weighted average
 //Good to use if the destination value is changing dynamically
@@ -43,20 +43,6 @@ let sineComplete = x => 0.5 - Math.cos(-x * Math.PI) * 0.5;
 //`w`: amount to weight (5 to 50 is a good range of values to start with)
 let weightedAverage = (p, d, w) => ((p * (w - 1)) + d) / w; 
 
-//Spline
-//An implementation of Catmull-Rom spline
-//arguments:
-//t: ratio
-//p0 to p3: points along the path
-let spline = (t, a, b, c, d) => {
-  return 0.5 * (
-    (2 * b) +
-    (-a + c) * t +
-    (2 * a - 5 * b + 4 * c - d) * t * t +
-    (-a + 3 * b - 3 * c + d) * t * t * t
-  );
-}
-
 //Bezier curve
 function cubicBezier(t, a, b, c, d) {
     var t2 = t * t;
@@ -67,8 +53,55 @@ function cubicBezier(t, a, b, c, d) {
       + (c * 3 - c * 3 * t) * t2 + d * t3;
 }
 
+//`easingFunction` returns the function that converts a normalized
+//time into a curved time for an easing `type` array, like
+//`["smoothstep"]`, `["spline", 10, 20]` or
+//`["cubicBezier", 0.25, 0.1, 0.25, 1]`. Tweens call it once, when
+//they're made, so that the curve isn't rebuilt every frame
+function easingFunction(type) {
+  if (type[0] === "spline") {
+    return normalizedTime => ease.spline(normalizedTime, type[1], 0, 1, type[2]);
+  } else if (type[0] === "cubicBezier") {
+    return cubicBezierEasing(type[1], type[2], type[3], type[4]);
+  } else if (ease[type[0]]) {
+    return ease[type[0]];
+  } else {
+    throw new Error(`${type[0]} is not an easing type`);
+  }
+}
+
+//`addFinished` gives a tween a `finished` Promise that resolves when
+//the tween completes and rejects if the tween is removed with
+//`removeTween`. This lets you wait for tweens in async functions:
+//
+//    await slide(sprite, 128, 128).finished;
+//
+function addFinished(o) {
+  o.finished = new Promise((resolve, reject) => {
+    o._resolveFinished = resolve;
+    o._rejectFinished = reject;
+  });
+
+  //Don't report an error if nothing is waiting for a removed tween
+  o.finished.catch(() => {});
+}
+
+/*
+ease
+----
+The library of easing functions. Use any of their names as the
+`type` argument of a tween function, like `["bounceOut"]`.
+Each function takes a normalized time between 0 and 1 and returns 
+the curved time.
+*/
+
+//Constants used by the back and elastic curves
+let overshoot = 1.70158,
+    overshootInOut = overshoot * 1.525,
+    elasticPeriod = (2 * Math.PI) / 3,
+    elasticPeriodInOut = (2 * Math.PI) / 4.5;
 
-let ease = {
+export let ease = {
 
   //Linear
   linear(x) {return x;},
@@ -89,11 +122,122 @@ let ease = {
   //Sine
   sine(x) {return Math.sin(x * Math.PI / 2);},
   sineSquared(x) {return Math.pow(Math.sin(x * Math.PI / 2), 2);},
-  sineCubed(x) {return Math.pow(Math.sin(x * Math.PI / 2), 2);},
+  sineCubed(x) {return Math.pow(Math.sin(x * Math.PI / 2), 3);},
   inverseSine(x) {return 1 - Math.sin((1 - x) * Math.PI / 2);},
   inverseSineSquared(x) {return 1 - Math.pow(Math.sin((1 - x) * Math.PI / 2), 2);},
   inverseSineCubed(x) {return 1 - Math.pow(Math.sin((1 - x) * Math.PI / 2), 3);},
 
+  //`sineComplete` uses the whole sine curve, and the effect is the same as
+  //smoothstep, but more computationally expensive.
+  sineComplete(x) {return 0.5 - Math.cos(-x * Math.PI) * 0.5;},
+
+  //The "in" curves start slowly, the "out" curves end slowly, and the
+  //"inOut" curves start and end slowly
+
+  //Quadratic
+  quadIn(x) {return x * x;},
+  quadOut(x) {return 1 - (1 - x) * (1 - x);},
+  quadInOut(x) {
+    return x < 0.5 ? 2 * x * x : 1 - Math.pow(-2 * x + 2, 2) / 2;
+  },
+
+  //Cubic
+  cubicIn(x) {return x * x * x;},
+  cubicOut(x) {return 1 - Math.pow(1 - x, 3);},
+  cubicInOut(x) {
+    return x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2;
+  },
+
+  //Quartic
+  quartIn(x) {return Math.pow(x, 4);},
+  quartOut(x) {return 1 - Math.pow(1 - x, 4);},
+  quartInOut(x) {
+    return x < 0.5 ? 8 * Math.pow(x, 4) : 1 - Math.pow(-2 * x + 2, 4) / 2;
+  },
+
+  //Quintic
+  quintIn(x) {return Math.pow(x, 5);},
+  quintOut(x) {return 1 - Math.pow(1 - x, 5);},
+  quintInOut(x) {
+    return x < 0.5 ? 16 * Math.pow(x, 5) : 1 - Math.pow(-2 * x + 2, 5) / 2;
+  },
+
+  //Sine
+  sineIn(x) {return 1 - Math.cos(x * Math.PI / 2);},
+  sineOut(x) {return Math.sin(x * Math.PI / 2);},
+  sineInOut(x) {return -(Math.cos(Math.PI * x) - 1) / 2;},
+
+  //Exponential
+  expoIn(x) {return x === 0 ? 0 : Math.pow(2, 10 * x - 10);},
+  expoOut(x) {return x === 1 ? 1 : 1 - Math.pow(2, -10 * x);},
+  expoInOut(x) {
+    if (x === 0 || x === 1) return x;
+    return x < 0.5 
+      ? Math.pow(2, 20 * x - 10) / 2 
+      : (2 - Math.pow(2, -20 * x + 10)) / 2;
+  },
+
+  //Circular
+  circularIn(x) {return 1 - Math.sqrt(1 - x * x);},
+  circularOut(x) {return Math.sqrt(1 - Math.pow(x - 1, 2));},
+  circularInOut(x) {
+    return x < 0.5
+      ? (1 - Math.sqrt(1 - Math.pow(2 * x, 2))) / 2
+      : (Math.sqrt(1 - Math.pow(-2 * x + 2, 2)) + 1) / 2;
+  },
+
+  //Back. These curves overshoot their start or end values slightly
+  backIn(x) {
+    return (overshoot + 1) * x * x * x - overshoot * x * x;
+  },
+  backOut(x) {
+    return 1 
+      + (overshoot + 1) * Math.pow(x - 1, 3) 
+      + overshoot * Math.pow(x - 1, 2);
+  },
+  backInOut(x) {
+    return x < 0.5
+      ? (Math.pow(2 * x, 2) * ((overshootInOut + 1) * 2 * x - overshootInOut)) / 2
+      : (Math.pow(2 * x - 2, 2) * ((overshootInOut + 1) * (x * 2 - 2) + overshootInOut) + 2) / 2;
+  },
+
+  //Elastic. These curves wobble like a spring
+  elasticIn(x) {
+    if (x === 0 || x === 1) return x;
+    return -Math.pow(2, 10 * x - 10) * Math.sin((x * 10 - 10.75) * elasticPeriod);
+  },
+  elasticOut(x) {
+    if (x === 0 || x === 1) return x;
+    return Math.pow(2, -10 * x) * Math.sin((x * 10 - 0.75) * elasticPeriod) + 1;
+  },
+  elasticInOut(x) {
+    if (x === 0 || x === 1) return x;
+    return x < 0.5
+      ? -(Math.pow(2, 20 * x - 10) * Math.sin((20 * x - 11.125) * elasticPeriodInOut)) / 2
+      : (Math.pow(2, -20 * x + 10) * Math.sin((20 * x - 11.125) * elasticPeriodInOut)) / 2 + 1;
+  },
+
+  //Bounce. These curves bounce like a ball landing on the floor
+  bounceIn(x) {return 1 - ease.bounceOut(1 - x);},
+  bounceOut(x) {
+    let n = 7.5625,
+        d = 2.75;
+    if (x < 1 / d) {
+      return n * x * x;
+    } else if (x < 2 / d) {
+      return n * (x -= 1.5 / d) * x + 0.75;
+    } else if (x < 2.5 / d) {
+      return n * (x -= 2.25 / d) * x + 0.9375;
+    } else {
+      return n * (x -= 2.625 / d) * x + 0.984375;
+    }
+  },
+  bounceInOut(x) {
+    return x < 0.5
+      ? (1 - ease.bounceOut(1 - 2 * x)) / 2
+      : (1 + ease.bounceOut(2 * x - 1)) / 2;
+  },
+
   //Spline
   spline (t, p0, p1, p2, p3) {
     return 0.5 * (
@@ -105,12 +249,225 @@ let ease = {
   }
 };
 
+/*
+registerEase
+------------
+Add your own easing function to the `ease` library so that you can
+use its name as the `type` argument of any tween:
+
+    registerEase("snap", cubicBezierEasing(0.2, 0.8, 0.2, 1));
+    slide(sprite, 128, 128, 30, ["snap"]);
+
+The function should take a normalized time between 0 and 1 and
+return the curved time.
+*/
+
+export function registerEase(name, easingFunction) {
+  if (typeof easingFunction !== "function") {
+    throw new Error(`The easing type ${name} needs to be a function`);
+  }
+  ease[name] = easingFunction;
+}
+
+/*
+cubicBezierEasing
+-----------------
+Returns an easing function for a CSS-style `cubic-bezier(x1, y1, x2, y2)`
+curve. The curve starts at 0,0 and ends at 1,1, and the arguments are
+its two control points. You can also use it directly as a tween type:
+
+    slide(sprite, 128, 128, 30, ["cubicBezier", 0.25, 0.1, 0.25, 1]);
+*/
+
+export function cubicBezierEasing(x1, y1, x2, y2) {
+
+  //Find the polynomial coefficients of the x and y curves
+  let cx = 3 * x1,
+      bx = 3 * (x2 - x1) - cx,
+      ax = 1 - cx - bx,
+      cy = 3 * y1,
+      by = 3 * (y2 - y1) - cy,
+      ay = 1 - cy - by;
+
+  //Helper functions to find the x and y positions, and the slope of
+  //the x curve, at the curve's parameter `t`
+  let sampleX = t => ((ax * t + bx) * t + cx) * t,
+      sampleY = t => ((ay * t + by) * t + cy) * t,
+      slopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+  //Find the curve's parameter `t` for a time `x`
+  let solveX = x => {
+
+    //Try Newton's method first, because it's fast
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      let error = sampleX(t) - x,
+          slope = slopeX(t);
+      if (Math.abs(error) < 1e-6) return t;
+      if (Math.abs(slope) < 1e-6) break;
+      t -= error / slope;
+    }
+
+    //If that didn't work, use the slower but more reliable bisection
+    let low = 0,
+        high = 1;
+    t = x;
+    for (let i = 0; i < 30; i++) {
+      let error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) break;
+      if (error > 0) {
+        high = t;
+      } else {
+        low = t;
+      }
+      t = (low + high) / 2;
+    }
+    return t;
+  };
+
+  //Return the easing function
+  return x => {
+    if (x <= 0 || x >= 1) return x;
+    return sampleY(solveX(x));
+  };
+}
+
+/*
+Interpolating values
+--------------------
+Tweens can change numbers, arrays of numbers, and CSS color strings.
+The property can be the name of a property on the sprite, like "alpha",
+or a dotted path to a nested property, like "children.0.fillStyle".
+*/
+
+//`getProperty` and `setProperty` read and write a property using
+//a dotted path
+function getProperty(object, path) {
+  return path.split(".").reduce((parent, key) => parent[key], object);
+}
+
+function setProperty(object, path, value) {
+  let keys = path.split("."),
+      lastKey = keys.pop(),
+      parent = keys.reduce((parent, key) => parent[key], object);
+  parent[lastKey] = value;
+}
+
+//`interpolate` finds the value between a start and end value for a
+//curved time between 0 and 1
+function interpolate(startValue, endValue, curvedTime) {
+
+  //Numbers
+  if (typeof endValue === "number") {
+    return (endValue * curvedTime) + (startValue * (1 - curvedTime));
+  }
+
+  //Arrays of values
+  else if (endValue instanceof Array) {
+    return endValue.map((value, i) => {
+      return interpolate(startValue[i], value, curvedTime);
+    });
+  }
+
+  //Color strings
+  else if (typeof endValue === "string") {
+    let start = parseColor(startValue),
+        end = parseColor(endValue),
+        rgba = interpolate(start, end, curvedTime);
+    return `rgba(${Math.round(rgba[0])}, ${Math.round(rgba[1])}, ${Math.round(rgba[2])}, ${rgba[3]})`;
+  }
+
+  //Throw an error if the value can't be tweened
+  else {
+    throw new Error(`The value ${endValue} can't be tweened`);
+  }
+}
+
+//Some basic color names that can be tweened outside the browser.
+//In the browser any CSS color can be used
+let namedColors = {
+  transparent: [0, 0, 0, 0],
+  black: [0, 0, 0, 1],
+  white: [255, 255, 255, 1],
+  gray: [128, 128, 128, 1],
+  grey: [128, 128, 128, 1],
+  red: [255, 0, 0, 1],
+  green: [0, 128, 0, 1],
+  blue: [0, 0, 255, 1],
+  yellow: [255, 255, 0, 1],
+  cyan: [0, 255, 255, 1],
+  magenta: [255, 0, 255, 1],
+  orange: [255, 165, 0, 1],
+  purple: [128, 0, 128, 1]
+};
+
+//A cache of colors that have already been parsed
+let parsedColors = {};
+
+//A canvas context that the browser can use to convert any CSS color
+//into a hex or rgba string
+let colorContext;
+
+//`parseColor` converts a CSS color string into an array of red,
+//green, blue and alpha values
+function parseColor(color) {
+  if (parsedColors[color]) return parsedColors[color];
+
+  let value = color.trim().toLowerCase(),
+      rgba, match;
+
+  //Hex colors, like "#f00", "#ff0000" or "#ff000080"
+  if ((match = value.match(/^#([0-9a-f]{3,8})$/))) {
+    let hex = match[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split("").map(digit => digit + digit).join("");
+    }
+    rgba = [
+      parseInt(hex.slice(0, 2), 16),
+      parseInt(hex.slice(2, 4), 16),
+      parseInt(hex.slice(4, 6), 16),
+      hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+    ];
+  }
+
+  //rgb and rgba colors, like "rgba(255, 0, 0, 0.5)"
+  else if ((match = value.match(/^rgba?\(([^)]+)\)$/))) {
+    rgba = match[1].split(",").map(number => parseFloat(number));
+    if (rgba.length === 3) rgba.push(1);
+  }
+
+  //Named colors
+  else if (namedColors[value]) {
+    rgba = namedColors[value].slice();
+  }
+
+  //Any other CSS color can be converted by a canvas context, if
+  //there's a browser
+  else if (typeof document !== "undefined") {
+    if (!colorContext) {
+      colorContext = document.createElement("canvas").getContext("2d");
+    }
+    colorContext.fillStyle = "#000";
+    colorContext.fillStyle = value;
+    if (colorContext.fillStyle !== "#000000" || value === "black") {
+      rgba = parseColor(colorContext.fillStyle).slice();
+    }
+  }
+
+  //Throw an error if the color can't be understood
+  if (!rgba || rgba.length !== 4 || rgba.some(isNaN)) {
+    throw new Error(`The color ${color} can't be tweened`);
+  }
+  parsedColors[color] = rgba;
+  return rgba;
+}
+
 export function tweenProperty(
   sprite,                  //Sprite object
-  property,                //String property
+  property,                //String property or dotted path
   startValue,              //Tween start value
   endValue,                //Tween end value
-  totalFrames,             //Duration in frames
+  totalFrames,             //Duration in frames (or milliseconds)
   type = ["smoothstep"],   //The easing type
   yoyo = false,            //Yoyo?
   delayBeforeRepeat = 0    //Delay in milliseconds before repeating
@@ -119,12 +476,14 @@ export function tweenProperty(
   //Create the tween object
   let o = {};
 
-  //If the tween is a spline, set the
-  //start and end magnitude values
-  if(type[0] === "spline" ){
-    o.startMagnitude = type[1];
-    o.endMagnitude = type[2];
-  }
+  //Should the duration be measured in milliseconds?
+  o.timeBased = false;
+
+  //Add the `finished` Promise
+  addFinished(o);
+
+  //Find the easing function
+  let easing = easingFunction(type);
 
   //Use `o.start` to make a new tween using the current
   //end point values
@@ -147,45 +506,40 @@ export function tweenProperty(
   o.start(startValue, endValue);
 
   //The `update` method will be called on each frame by the game loop.
-  //This is what makes the tween move
-  o.update = () => {
+  //This is what makes the tween move. `dt` is the number of
+  //milliseconds since the last frame, which is only used if the
+  //tween is time-based
+  o.update = (dt = tweenTiming.defaultDelta) => {
     
     let time, curvedTime;
 
     if (o.playing) {
 
-      //If the elapsed frames are less than the total frames,
-      //use the tweening formulas to move the sprite
-      if (o.frameCounter < o.totalFrames) {
-
-        //Find the normalized value
-        let normalizedTime = o.frameCounter / o.totalFrames;
-
-        //Select the correct easing function from the 
-        //`ease` object’s library of easing functions
+      //Find the normalized value. It stops at 1, so that the sprite
+      //always finishes at the end value, even if the last frame
+      //took a long time
+      let normalizedTime = o.totalFrames > 0
+        ? Math.min(o.frameCounter / o.totalFrames, 1)
+        : 1;
 
+      //Curve the time with the easing function
+      curvedTime = easing(normalizedTime);
 
-        //If it's not a spline, use one of the ordinary easing functions
-        if (type[0] !== "spline") {
-          curvedTime = ease[type](normalizedTime);
-        } 
-        
-        //If it's a spline, use the `spline` function and apply the
-        //2 additional `type` array values as the spline's start and
-        //end points
-        else {
-          curvedTime = ease.spline(normalizedTime, o.startMagnitude, 0, 1, o.endMagnitude);
-        }
-
-        //Interpolate the sprite's property based on the curve
-        sprite[property] = (o.endValue * curvedTime) + (o.startValue * (1 - curvedTime));
+      //Interpolate the sprite's property based on the curve
+      setProperty(
+        sprite, property, 
+        interpolate(o.startValue, o.endValue, curvedTime)
+      );
 
-        o.frameCounter += 1;
+      //When the tween has finished playing, run the end tasks
+      if (o.frameCounter >= o.totalFrames) {
+        o.end();
       }
 
-      //When the tween has finished playing, run the end tasks
+      //Otherwise, advance the counter by one frame, or by the
+      //elapsed time
       else {
-       o.end(); 
+        o.frameCounter += o.timeBased ? dt : 1;
       }
     }
   };
@@ -199,15 +553,19 @@ export function tweenProperty(
     //Call the tween's `onComplete` method, if it's been assigned
     if (o.onComplete) o.onComplete();
 
-    //Remove the tween from the `tweens` array
-    tweens.splice(tweens.indexOf(o), 1);
+    //Resolve the `finished` Promise
+    o._resolveFinished();
+
+    //Remove the tween from the `tweens` array, if it's still there
+    if (tweens.indexOf(o) !== -1) tweens.splice(tweens.indexOf(o), 1);
 
     //If the tween's `yoyo` property is `true`, create a new tween
     //using the same values, but use the current tween's `startValue`
-    //as the next tween's `endValue` 
+    //as the next tween's `endValue`. Don't restart the tween if it
+    //was removed while it was waiting
     if (yoyo) {
       wait(delayBeforeRepeat).then(() => {
-        o.start(o.endValue, o.startValue);
+        if (!o.removed) o.start(o.endValue, o.startValue);
       });
     }
   };
@@ -222,6 +580,35 @@ export function tweenProperty(
 
 /* High level tween functions */
 
+//`tweenProperties` tweens many properties at the same time, from
+//their current values to the values in the `properties` object:
+//
+//    tweenProperties(sprite, {x: 128, alpha: 0.5, fillStyle: "red"}, 30);
+//
+export function tweenProperties(
+  sprite, properties, 
+  frames = 60, type = ["smoothstep"], yoyo = false, delayBeforeRepeat = 0
+) {
+  return makeTween(
+    Object.keys(properties).map(property => [
+      sprite, property, getProperty(sprite, property), properties[property],
+      frames, type, yoyo, delayBeforeRepeat
+    ])
+  );
+}
+
+//`flash` tweens a sprite's color to another color and back again,
+//which is useful for damage effects. The `frames` is the duration of
+//the whole flash
+export function flash(
+  sprite, color = "white", frames = 10, property = "fillStyle"
+) {
+  let originalColor = getProperty(sprite, property);
+  return timeline()
+    .to(sprite, {[property]: color}, frames / 2, ["linear"])
+    .to(sprite, {[property]: originalColor}, frames / 2, ["linear"]);
+}
+
 //`fadeOut`
 export function fadeOut(sprite, frames = 60) {
   return tweenProperty(
@@ -258,6 +645,9 @@ function makeTween(tweensToAdd) {
   //Create a `tweens` array to store the new tweens
   o.tweens = [];
 
+  //Add the `finished` Promise
+  addFinished(o);
+
   //Make a new tween for each array
   tweensToAdd.forEach(tweenPropertyArguments => {
      
@@ -283,6 +673,7 @@ function makeTween(tweensToAdd) {
     //method, if it's been assigned. Reset the `completionCounter`
     if (completionCounter === o.tweens.length) {
       if (o.onComplete) o.onComplete();
+      o._resolveFinished();
       completionCounter = 0;
     }
   }; 
@@ -292,6 +683,18 @@ function makeTween(tweensToAdd) {
     tween.onComplete = () => o.completed();
   });
   
+  //Setting `timeBased` measures all the tweens in milliseconds
+  Object.defineProperty(o, "timeBased", {
+    get() {
+      return o.tweens.every(tween => tween.timeBased);
+    },
+    set(value) {
+      o.tweens.forEach(tween => tween.timeBased = value);
+    },
+    enumerable: true,
+    configurable: true
+  });
+
   //Add pause and play methods to control all the tweens
   o.pause = () => {
     o.tweens.forEach(tween => {
@@ -421,10 +824,12 @@ export function wobble(
         tween.endValue *= friction;
 
         //Set the `endValue` to 1 when the effect is finished and 
-        //remove the tween from the global `tweens` array
+        //remove the tween from the global `tweens` array.
+        //The wobble is complete when both tweens have finished
         if (tween.endValue <= 1) {
           tween.endValue = 1; 
           removeTween(tween);
+          o.completed();
         }
       }
     };
@@ -441,18 +846,30 @@ A utility to remove tweens from the game
 */
 export function removeTween(tweenObject) {
 
+  //`remove` takes a tween out of the global `tweens` array, flags it
+  //as `removed` so that it won't restart, and rejects its
+  //`finished` Promise
+  let remove = tween => {
+    if (tweens.indexOf(tween) !== -1) {
+      tweens.splice(tweens.indexOf(tween), 1);
+    }
+    tween.removed = true;
+    if (tween._rejectFinished) {
+      tween._rejectFinished(new Error("The tween was removed"));
+    }
+  };
+
   //Remove the tween if `tweenObject` doesn't have any nested
   //tween objects
   if(!tweenObject.tweens) {
     tweenObject.pause();
-    tweens.splice(tweens.indexOf(tweenObject), 1);
+    remove(tweenObject);
   
   //Otherwise, remove the nested tween objects
   } else {
     tweenObject.pause();
-    tweenObject.tweens.forEach(element => {
-      tweens.splice(tweens.indexOf(element), 1);
-    });
+    tweenObject.tweens.forEach(element => remove(element));
+    remove(tweenObject);
   }
 }
 
@@ -473,10 +890,14 @@ export function followCurve(
   //Create the tween object
   let o = {};
 
-  if(type[0] === "spline" ){
-    o.startMagnitude = type[1];
-    o.endMagnitude = type[2];
-  }
+  //Should the duration be measured in milliseconds?
+  o.timeBased = false;
+
+  //Add the `finished` Promise
+  addFinished(o);
+
+  //Find the easing function
+  let easing = easingFunction(type);
 
   //Use `tween.start` to make a new tween using the current
   //end point values
@@ -498,47 +919,35 @@ export function followCurve(
 
   //The `update` method will be called on each frame by the game loop.
   //This is what makes the tween move
-  o.update = () => {
+  o.update = (dt = tweenTiming.defaultDelta) => {
     
     let normalizedTime, curvedTime, 
         p = o.pointsArray;
 
     if (o.playing) {
 
-      //If the elapsed frames are less than the total frames,
-      //use the tweening formulas to move the sprite
-      if (o.frameCounter < o.totalFrames) {
+      //Find the normalized value. It stops at 1, so that the sprite
+      //always finishes at the end of the curve
+      normalizedTime = o.totalFrames > 0
+        ? Math.min(o.frameCounter / o.totalFrames, 1)
+        : 1;
 
-        //Find the normalized value
-        normalizedTime = o.frameCounter / o.totalFrames;
+      //Curve the time with the easing function
+      curvedTime = easing(normalizedTime);
 
-        //Select the correct easing function
-        
-        //If it's not a spline, use one of the ordinary tween
-        //functions
-        if (type[0] !== "spline") {
-          curvedTime = ease[type](normalizedTime);
-        } 
-        
-        //If it's a spline, use the `spine` function and apply the
-        //2 additional `type` array values as the spline's start and
-        //end points
-        else {
-          //curve = tweenFunction.spline(n, type[1], 0, 1, type[2]);
-          curvedTime = ease.spline(normalizedTime, o.startMagnitude, 0, 1, o.endMagnitude);
-        }
+      //Apply the Bezier curve to the sprite's position 
+      sprite.x = cubicBezier(curvedTime, p[0][0], p[1][0], p[2][0], p[3][0]);
+      sprite.y = cubicBezier(curvedTime, p[0][1], p[1][1], p[2][1], p[3][1]);
 
-        //Apply the Bezier curve to the sprite's position 
-        sprite.x = cubicBezier(curvedTime, p[0][0], p[1][0], p[2][0], p[3][0]);
-        sprite.y = cubicBezier(curvedTime, p[0][1], p[1][1], p[2][1], p[3][1]);
-        
-        //Add one to the `elapsedFrames`
-        o.frameCounter += 1;
+      //When the tween has finished playing, run the end tasks
+      if (o.frameCounter >= o.totalFrames) {
+        o.end();
       }
 
-      //When the tween has finished playing, run the end tasks
+      //Otherwise, add one frame, or the elapsed time, to the
+      //`frameCounter`
       else {
-       o.end(); 
+        o.frameCounter += o.timeBased ? dt : 1;
       }
     }
   };
@@ -553,13 +962,18 @@ export function followCurve(
     //assigned
     if (o.onComplete) o.onComplete();
 
-    //Remove the tween from the global `tweens` array
-    tweens.splice(tweens.indexOf(o), 1);
+    //Resolve the `finished` Promise
+    o._resolveFinished();
+
+    //Remove the tween from the global `tweens` array, if it's
+    //still there
+    if (tweens.indexOf(o) !== -1) tweens.splice(tweens.indexOf(o), 1);
 
     //If the tween's `yoyo` property is `true`, reverse the array and
     //use it to create a new tween
     if (yoyo) {
       wait(delayBeforeRepeat).then(() => {
+        if (o.removed) return;
         o.pointsArray = o.pointsArray.reverse();
         o.start(o.pointsArray);
       });
@@ -578,11 +992,38 @@ export function followCurve(
   return o;
 }
 
+/*
+walkPath and walkCurve
+----------------------
+
+`walkPath` makes a sprite walk along a path of waypoints, and
+`walkCurve` makes it walk along a path of Bezier curves. Each section
+of the path is its own tween. They return a path object that controls
+the whole path, no matter which section the sprite is walking:
+
+- `pause()` and `play()`: Pause and play the path. Sections that start
+  while the path is paused start paused.
+- `playing`: `true` if the path is playing.
+- `onComplete`: Called when the sprite reaches the end of a path that
+  doesn't loop.
+- `finished`: A Promise that resolves at the end of a path that doesn't
+  loop, and rejects if the path is removed with `removeTween`.
+- `timeBased`: Set it to `true` to measure the path in milliseconds.
+- `tween`: The tween of the section that the sprite is walking now.
+- `tweens`: That section's tweens. `removeTween(path)` removes them and
+  stops the path.
+
+(These functions used to return the tween of the first section.
+Code that used its `playing` property, or its `pause` and `play`
+methods, works the same way with the path object. But the path's
+`onComplete` is called once at the end of the whole path, instead of at
+the end of the first section.)
+*/
 
 export function walkPath(
   sprite,                   //The sprite
   originalPathArray,        //A 2D array of waypoints
-  totalFrames = 300,        //The duration, in frames
+  totalFrames = 300,        //The duration, in frames (or milliseconds)
   type = ["smoothstep"],    //The easing type
   loop = false,             //Should the animation loop?
   yoyo = false,             //Shoud the direction reverse?
@@ -600,8 +1041,12 @@ export function walkPath(
   //Set the current point to 0, which will be the first waypoint
   let currentPoint = 0;
 
+  //The `path` object lets you control the whole path, and wait for
+  //it to finish, no matter which section the sprite is walking
+  let path = makePathController();
+
   //Make the first path using the internal `makePath` function (below)
-  let tween = makePath(currentPoint);
+  path.tween = path.section(makePath(currentPoint));
 
   //The `makePath` function creates a single tween between two points and
   //then schedules the next path to be made after it
@@ -646,7 +1091,7 @@ export function walkPath(
       //path, tween the sprite to the next point
       if (currentPoint < pathArray.length - 1) {
         wait(delayBetweenSections).then(() => {
-          tween = makePath(currentPoint);
+          if (!path.removed) path.tween = path.section(makePath(currentPoint));
         });
       } 
       
@@ -654,6 +1099,9 @@ export function walkPath(
       //loop and yoyo it
       else {
 
+        //The path has finished if it doesn't loop
+        if (!loop) path.end();
+
         //Reverse the path if `loop` is `true`
         if (loop) {
 
@@ -662,6 +1110,7 @@ export function walkPath(
 
           //Optionally wait before restarting
           wait(delayBetweenSections).then(() => {
+            if (path.removed) return;
 
             //Reset the `currentPoint` to 0 so that we can
             //restart at the first point
@@ -672,7 +1121,7 @@ export function walkPath(
             sprite.y = pathArray[0][1];
 
             //Make the first new path
-            tween = makePath(currentPoint);
+            path.tween = path.section(makePath(currentPoint));
 
             //... and so it continues!
           });
@@ -680,18 +1129,21 @@ export function walkPath(
       }
     };
 
+    //Measure the section in the same way as the whole path
+    tween.timeBased = path.timeBased;
+
     //Return the path tween to the main function
     return tween;
   }
 
-  //Pass the tween back to the main program
-  return tween;
+  //Pass the path back to the main program
+  return path;
 }
 
 export function walkCurve(
   sprite,                  //The sprite
   pathArray,               //2D array of Bezier curves
-  totalFrames = 300,       //The duration, in frames
+  totalFrames = 300,       //The duration, in frames (or milliseconds)
   type = ["smoothstep"],   //The easing type
   loop = false,            //Should the animation loop?
   yoyo = false,            //Should the direction reverse?
@@ -704,8 +1156,11 @@ export function walkCurve(
   //Set the current curve to 0, which will be the first one
   let currentCurve = 0;
 
+  //The `path` object that controls the whole path
+  let path = makePathController();
+
   //Make the first path
-  let tween = makePath(currentCurve);
+  path.tween = path.section(makePath(currentCurve));
 
   function makePath(currentCurve) {
 
@@ -725,13 +1180,14 @@ export function walkCurve(
       currentCurve += 1;
       if (currentCurve < pathArray.length) {
         wait(delayBeforeContinue).then(() => {
-          tween = makePath(currentCurve);
+          if (!path.removed) path.tween = path.section(makePath(currentCurve));
         });
       } 
       
       //If we've reached the end of the path, optionally
       //loop and reverse it
       else {
+        if (!loop) path.end();
         if (loop) {
           if (yoyo) {
 
@@ -745,21 +1201,315 @@ export function walkCurve(
           //After an optional delay, reset the sprite to the
           //beginning of the path and make the next new path
           wait(delayBeforeContinue).then(() => {
+            if (path.removed) return;
             currentCurve = 0;
             sprite.x = pathArray[0][0];
             sprite.y = pathArray[0][1];
-            tween = makePath(currentCurve);
+            path.tween = path.section(makePath(currentCurve));
           });
         }
       }
     };
 
+    //Measure the section in the same way as the whole path
+    tween.timeBased = path.timeBased;
+
     //Return the path tween to the main function
     return tween;
   }
   
-  //Pass the tween back to the main program
-  return tween;
+  //Pass the path back to the main program
+  return path;
+}
+
+//`makePathController` makes the object that `walkPath` and `walkCurve`
+//return. Its `tween` property is the tween for the section of the
+//path that the sprite is currently walking along, and its `tweens`
+//array lets `removeTween` remove it
+function makePathController() {
+  let path = {
+    tween: undefined,
+
+    //Is the path measured in milliseconds? Each section's tween
+    //uses the same setting
+    get timeBased() {
+      return timeBased;
+    },
+    set timeBased(value) {
+      timeBased = value;
+      if (path.tween) path.tween.timeBased = value;
+    },
+    get tweens() {
+      return path.tween.tweens || [path.tween];
+    },
+    get playing() {
+      return playing;
+    },
+    pause() {
+      playing = false;
+      path.tween.pause();
+    },
+    play() {
+      playing = true;
+      path.tween.play();
+    },
+
+    //`section` is called with the tween of each new section of the
+    //path. It pauses the tween if the path is paused
+    section(tween) {
+      if (!playing) tween.pause();
+      return tween;
+    },
+
+    //`end` is called when the sprite reaches the end of a path
+    //that doesn't loop
+    end() {
+      playing = false;
+      if (path.onComplete) path.onComplete();
+      path._resolveFinished();
+    }
+  };
+
+  let timeBased = false,
+      playing = true;
+
+  //Add the `finished` Promise
+  addFinished(path);
+  return path;
+}
+
+/*
+timeline
+--------
+
+A timeline lets you arrange many tweens so that they play in sequence
+or in parallel, and control them all as one unit. Tweens are added
+to the end of the timeline, unless you give them a position:
+
+    let intro = timeline()
+      .to(title, {y: 64}, 30, ["decelerationCubed"])
+      .to(playButton, {alpha: 1}, 20)
+      .to(message, {x: 250}, 20, ["sine"], "<")
+      .label("blocks")
+      .stagger(blocks.children, {alpha: 1}, 10, 3)
+      .delay(30)
+      .call(() => music.play());
+
+    intro.onComplete = () => console.log("Finished!");
+
+A position can be a time (in frames, or milliseconds if the timeline
+is time-based), a label name, or "<" to start at the same time as the
+previous tween. The timeline starts playing as soon as it's made, and
+you can control it with `play`, `pause`, `reverse`, `seek` and
+`restart`.
+
+Set the `timeBased` option to `true` to measure the timeline's times
+and durations in milliseconds:
+
+    let intro = timeline({timeBased: true});
+
+*/
+
+export function timeline(options = {}) {
+
+  //Create the timeline object
+  let o = {};
+
+  //Should the timeline be measured in milliseconds?
+  o.timeBased = options.timeBased || false;
+
+  //The tweens, callbacks and labels on the timeline
+  o.entries = [];
+  o.callbacks = [];
+  o.labels = {};
+
+  //Add the `finished` Promise. It resolves the first time the
+  //timeline reaches its end
+  addFinished(o);
+
+  //The total `duration` of the timeline, the current playhead `time`,
+  //and the direction that it's playing
+  o.duration = 0;
+  o.time = 0;
+  o.reversed = false;
+
+  //The start time of the most recently added tween, used by the
+  //"<" position
+  let previousStart = 0;
+
+  //`position` converts a position argument into a time on the timeline
+  function position(at) {
+    if (at === undefined) return o.duration;
+    if (typeof at === "number") return at;
+    if (at === "<") return previousStart;
+    if (o.labels[at] !== undefined) return o.labels[at];
+    throw new Error(`The timeline position ${at} is not recognized`);
+  }
+
+  //`to` adds a tween that moves the sprite's properties from their
+  //current values to the values in the `properties` object
+  o.to = (sprite, properties, duration, type = ["smoothstep"], at) => {
+    let start = position(at);
+
+    //The start values are captured when the tween first plays
+    o.entries.push({
+      sprite, properties, start, duration, type,
+      easing: easingFunction(type),
+      startValues: undefined
+    });
+
+    //Keep the tweens sorted by their start times
+    o.entries.sort((a, b) => a.start - b.start);
+    previousStart = start;
+    o.duration = Math.max(o.duration, start + duration);
+    return o;
+  };
+
+  //`parallel` adds an array of tweens that all start at the same time.
+  //Each tween is an array of `to` arguments: 
+  //`[sprite, properties, duration, type]`
+  o.parallel = (tweensToAdd, at) => {
+    let start = position(at);
+    tweensToAdd.forEach(args => {
+      o.to(args[0], args[1], args[2], args[3], start);
+    });
+    previousStart = start;
+    return o;
+  };
+
+  //`stagger` adds the same tween to an array of sprites, with each one
+  //starting `staggerDelay` after the one before it
+  o.stagger = (
+    sprites, properties, duration, staggerDelay = 0,
+    type = ["smoothstep"], at
+  ) => {
+    let start = position(at);
+    sprites.forEach((sprite, i) => {
+      o.to(sprite, properties, duration, type, start + i * staggerDelay);
+    });
+    previousStart = start;
+    return o;
+  };
+
+  //`delay` adds some empty time to the end of the timeline
+  o.delay = duration => {
+    o.duration += duration;
+    return o;
+  };
+
+  //`label` gives a name to a position so that you can add tweens
+  //or `seek` to it later
+  o.label = (name, at) => {
+    o.labels[name] = position(at);
+    return o;
+  };
+
+  //`call` runs a function when the playhead reaches its position
+  o.call = (callback, at) => {
+    o.callbacks.push({time: position(at), callback});
+    return o;
+  };
+
+  //`render` sets all the sprites' properties for a time on the
+  //timeline. Only the tweens between the old and new times are
+  //changed. They're applied in reverse order when the playhead moves
+  //backwards, so that tweens on the same property restore each
+  //other's start values correctly
+  function render(time) {
+    let low = Math.min(o.time, time),
+        high = Math.max(o.time, time),
+        entries = time >= o.time ? o.entries : o.entries.slice().reverse();
+
+    entries.forEach(entry => {
+      if (low > entry.start + entry.duration || high < entry.start) return;
+
+      //Capture the start values the first time the tween plays
+      if (entry.startValues === undefined) {
+        entry.startValues = {};
+        Object.keys(entry.properties).forEach(key => {
+          entry.startValues[key] = getProperty(entry.sprite, key);
+        });
+      }
+
+      //Find the normalized and curved time for this tween
+      let normalizedTime = entry.duration > 0
+        ? (time - entry.start) / entry.duration
+        : 1;
+      normalizedTime = Math.min(Math.max(normalizedTime, 0), 1);
+      let curvedTime = entry.easing(normalizedTime);
+
+      //Interpolate the sprite's properties based on the curve
+      Object.keys(entry.properties).forEach(key => {
+        setProperty(
+          entry.sprite, key, 
+          interpolate(entry.startValues[key], entry.properties[key], curvedTime)
+        );
+      });
+    });
+    o.time = time;
+  }
+
+  //The `update` method will be called on each frame by the game loop
+  o.update = (dt = tweenTiming.defaultDelta) => {
+    if (o.playing) {
+      let previousTime = o.time,
+          step = o.timeBased ? dt : 1,
+          time = o.reversed ? o.time - step : o.time + step;
+
+      //Move the playhead, but keep it on the timeline
+      render(Math.min(Math.max(time, 0), o.duration));
+
+      //Run any callbacks that the playhead passed over
+      o.callbacks.forEach(entry => {
+        let passed = o.reversed
+          ? entry.time < previousTime && entry.time >= o.time
+          : entry.time >= previousTime && entry.time < o.time;
+
+        //Callbacks at the very end (or start) of the timeline run
+        //when the playhead reaches them
+        let atEdge 
+          = entry.time === o.time 
+          && (o.time === 0 || o.time === o.duration);
+
+        if (passed || atEdge) entry.callback();
+      });
+
+      //End the timeline if the playhead has reached the end, or
+      //the beginning if it's playing in reverse
+      if (o.reversed ? o.time <= 0 : o.time >= o.duration) o.end();
+    }
+  };
+
+  //The `end` method is called when the timeline has finished
+  o.end = () => {
+    o.playing = false;
+    if (tweens.indexOf(o) !== -1) tweens.splice(tweens.indexOf(o), 1);
+    if (o.onComplete) o.onComplete();
+    o._resolveFinished();
+  };
+
+  //Play, pause, reverse, seek and restart methods
+  o.play = () => {
+    o.playing = true;
+    if (tweens.indexOf(o) === -1) tweens.push(o);
+  };
+  o.pause = () => o.playing = false;
+  o.reverse = () => {
+    o.reversed = !o.reversed;
+    o.play();
+  };
+  o.seek = at => render(Math.min(Math.max(position(at), 0), o.duration));
+  o.restart = () => {
+    o.reversed = false;
+    o.seek(0);
+    o.play();
+  };
+
+  //Start playing the timeline
+  o.play();
+
+  //Return the timeline object
+  return o;
 }
 
 /*
@@ -11,6 +11,7 @@ sprite prototype objects can use this code
 
 //Dependencies
 import {makeSound} from "../library/sound";
+import {vector, Vector2} from "../library/vector";
 
 /*
 assets
@@ -38,6 +39,18 @@ Access individual frames in a texture atlas using the frame's name, like this:
 
 (Just use the image name without the extension.)
 
+Tiled Editor maps, saved in JSON format, are loaded along with their
+tilesets and tileset images. Use `tiledWorld` to turn a loaded map into sprites:
+
+    world = tiledWorld(assets["maps/level1.tmj"]);
+
+If a JSON file, or one of a map's tilesets or tileset images, can't be
+loaded, or a JSON file isn't valid, the Promise is rejected with an error that says which file it was:
+
+    assets.load(["maps/level1.tmj"])
+      .then(() => setup())
+      .catch(error => console.log(error.message));
+
 */
 
 export let assets = {
@@ -49,7 +62,7 @@ export let assets = {
   //File extensions for different types of assets
   imageExtensions: ["png", "jpg", "gif"],
   fontExtensions: ["ttf", "otf", "ttc", "woff"],
-  jsonExtensions: ["json"],
+  jsonExtensions: ["json", "tmj"],
   audioExtensions: ["mp3", "ogg", "wav", "webm"],
   
   //The `load` method creates and loads all the assets. Use it like this:
@@ -58,7 +71,7 @@ export let assets = {
 
     //The `load` method will return a Promise when everything has
     //loaded
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
 
       //The `loadHandler` counts the number of assets loaded, compares
       //it to the total number of assets that need to be loaded, and
@@ -81,6 +94,14 @@ export let assets = {
         } 
       };
 
+      //The `errorHandler` rejects the Promise if a file can't be
+      //loaded. (It's used by Tiled maps, which load other files)
+      let errorHandler = error => {
+        this.toLoad = 0;
+        this.loaded = 0;
+        reject(error);
+      };
+
       //Display a console message to confirm that the assets are
       //being loaded
       console.log("Loading assets...");
@@ -105,7 +126,7 @@ export let assets = {
         }
         //Load JSON files  
         else if (this.jsonExtensions.indexOf(extension) !== -1) {
-          this.loadJson(source, loadHandler);
+          this.loadJson(source, loadHandler, errorHandler);
         }
         //Load audio files  
         else if (this.audioExtensions.indexOf(extension) !== -1) {
@@ -177,7 +198,7 @@ export let assets = {
     loadHandler();
   },
 
-  loadJson(source, loadHandler) {
+  loadJson(source, loadHandler, errorHandler) {
     //Create a new `xhr` object and an object to store the file
     let xhr = new XMLHttpRequest();
 
@@ -186,31 +207,55 @@ export let assets = {
     
     //Tell xhr that it's a text file
     xhr.responseType = "text";
+
+    //Tell the `errorHandler`, if there is one, that the file
+    //couldn't be used
+    let fail = message => {
+      if (errorHandler) errorHandler(new Error(message));
+    };
     
     //Create an `onload` callback function that
     //will handle the file loading    
     xhr.onload = event => {
       //Check to make sure the file has loaded properly
-      if (xhr.status === 200) {
-        //Convert the JSON data file into an ordinary object
-        let file = JSON.parse(xhr.responseText);
-        //Get the file name
-        file.name = source;
-        //Assign the file as a property of the assets object so
-        //you can access it like this: `assets["file.json"]`
-        this[file.name] = file;
-        //Texture atlas support:
-        //If the JSON file has a `frames` property then 
-        //it's in Texture Packer format
-        if (file.frames) {
-          //Create the tileset frames
-          this.createTilesetFrames(file, source, loadHandler);
-        } else {
-          //Alert the load handler that the file has loaded
-          loadHandler();
-        }
+      if (xhr.status !== 200) {
+        fail(`The file ${source} couldn't be loaded (status ${xhr.status})`);
+        return;
+      }
+      //Convert the JSON data file into an ordinary object
+      let file;
+      try {
+        file = JSON.parse(xhr.responseText);
+      } catch (error) {
+        fail(`The file ${source} isn't valid JSON`);
+        return;
+      }
+      //Get the file name
+      file.name = source;
+      //Assign the file as a property of the assets object so
+      //you can access it like this: `assets["file.json"]`
+      this[file.name] = file;
+      //Texture atlas support:
+      //If the JSON file has a `frames` property then 
+      //it's in Texture Packer format
+      if (file.frames) {
+        //Create the tileset frames
+        this.createTilesetFrames(file, source, loadHandler);
+      }
+      //Tiled map support:
+      //If the JSON file has `tilesets` and `layers` properties
+      //then it's a Tiled Editor map
+      else if (file.tilesets && file.layers) {
+        //Load the map's tilesets and their images
+        this.loadTiledMap(file, source, loadHandler, errorHandler);
+      } else {
+        //Alert the load handler that the file has loaded
+        loadHandler();
       }
     };
+    xhr.onerror = event => {
+      fail(`The file ${source} couldn't be loaded`);
+    };
     //Send the request to load the file
     xhr.send();
   },
@@ -258,6 +303,112 @@ export let assets = {
     image.src = imageSource;
   },
 
+  loadTiledMap(file, source, loadHandler, errorHandler) {
+
+    //Get the map's folder path
+    let baseUrl = source.replace(/[^\/]*$/, "");
+
+    //Only report the first error, because the map can't be used
+    //after that
+    let failed = false;
+    let tilesetErrorHandler = message => {
+      if (failed) return;
+      failed = true;
+      errorHandler(new Error(message));
+    };
+
+    //Count the tilesets that have finished loading, and alert the
+    //load handler when they've all loaded
+    let tilesetsToLoad = file.tilesets.length;
+    let tilesetLoadHandler = () => {
+      tilesetsToLoad -= 1;
+      if (tilesetsToLoad === 0) loadHandler();
+    };
+    if (tilesetsToLoad === 0) loadHandler();
+
+    file.tilesets.forEach(tileset => {
+
+      //Tilesets can be embedded in the map or saved in their own
+      //files. External tilesets need to be loaded first
+      if (tileset.source) {
+        let tilesetSource = baseUrl + tileset.source;
+        if (tileset.source.split(".").pop() === "tsx") {
+          tilesetErrorHandler(`${tilesetSource} is an XML tileset. Save Tiled tilesets in JSON format`);
+          return;
+        }
+        let xhr = new XMLHttpRequest();
+        xhr.open("GET", tilesetSource, true);
+        xhr.responseType = "text";
+        xhr.onload = event => {
+          if (xhr.status !== 200) {
+            tilesetErrorHandler(`The tileset ${tilesetSource} couldn't be loaded (status ${xhr.status})`);
+            return;
+          }
+
+          //Add the tileset's data to the map's tileset object,
+          //which already has the `firstgid`
+          let data;
+          try {
+            data = JSON.parse(xhr.responseText);
+          } catch (error) {
+            tilesetErrorHandler(`The tileset ${tilesetSource} isn't valid JSON`);
+            return;
+          }
+          Object.assign(tileset, data);
+
+          //The tileset's image paths are relative to the tileset file
+          this.loadTilesetImages(
+            tileset, tilesetSource.replace(/[^\/]*$/, ""),
+            tilesetLoadHandler, tilesetErrorHandler
+          );
+        };
+        xhr.onerror = event => {
+          tilesetErrorHandler(`The tileset ${tilesetSource} couldn't be loaded`);
+        };
+        xhr.send();
+      } else {
+        this.loadTilesetImages(tileset, baseUrl, tilesetLoadHandler, tilesetErrorHandler);
+      }
+    });
+  },
+
+  loadTilesetImages(tileset, baseUrl, loadHandler, errorHandler) {
+
+    //Find all the images that the tileset uses. A tileset is
+    //either a single image or a collection of images, one for each tile
+    let images = [];
+    if (tileset.image) {
+      images.push({owner: tileset, source: baseUrl + tileset.image});
+    }
+    if (tileset.tiles) {
+      tileset.tiles.forEach(tile => {
+        if (tile.image) images.push({owner: tile, source: baseUrl + tile.image});
+      });
+    }
+
+    let imagesToLoad = images.length;
+    if (imagesToLoad === 0) loadHandler();
+
+    images.forEach(({owner, source}) => {
+      let image = new Image();
+      image.addEventListener("load", () => {
+
+        //Assign the image as a property of the `assets` object, and
+        //give the tileset (or tile) a `texture` property that
+        //`tiledWorld` can use to make the tile sprites
+        this[source] = image;
+        owner.texture = image;
+
+        imagesToLoad -= 1;
+        if (imagesToLoad === 0) loadHandler();
+      }, false);
+      image.addEventListener("error", () => {
+        errorHandler(`The tileset image ${source} couldn't be loaded`);
+      }, false);
+      image.src = source;
+    });
+  },
+
   loadSound(source, loadHandler) {
 
     //Create a sound sprite and alert the `loadHandler`
@@ -394,9 +545,9 @@ The function returns the number of pixels distance between the sprites.
 
 */
 export function distance(s1, s2) {
-  let vx = s2.centerX - s1.centerX,
-      vy = s2.centerY - s1.centerY;
-  return Math.sqrt(vx * vx + vy * vy);
+  return vector(s2.centerX, s2.centerY)
+    .sub(vector(s1.centerX, s1.centerY))
+    .length;
 }
 
 /*
@@ -484,10 +635,9 @@ You can use it to make a sprite rotate towards another sprite like this:
 */
 
 export let angle = (s1, s2) => {
-  return Math.atan2(
-    s2.centerY - s1.centerY,
-    s2.centerX - s1.centerX
-  );
+  return vector(s2.centerX, s2.centerY)
+    .sub(vector(s1.centerX, s1.centerY))
+    .angle;
 }
 
 //### rotateAround
@@ -509,10 +659,11 @@ export function rotateSprite(rotatingSprite, centerSprite, distance, angle) {
 //Make a point rotate around another point
 
 export function rotatePoint(pointX, pointY, distanceX, distanceY, angle) {
-  let point = {};
-  point.x = pointX + Math.cos(angle) * distanceX;
-  point.y = pointY + Math.sin(angle) * distanceY;
-  return point;
+  //Find the point on the ellipse around `pointX` and `pointY`
+  let offset = Vector2.fromAngle(angle);
+  return vector(pointX, pointY).add(
+    vector(offset.x * distanceX, offset.y * distanceY)
+  );
 };
 
 
@@ -567,17 +718,19 @@ export function shoot(
   //Make a new sprite using the user-supplied `bulletSprite` function
   let bullet = bulletSprite();
 
+  //The direction that the bullet should travel in
+  let direction = Vector2.fromAngle(angle);
+
   //Set the bullet's start point
-  bullet.x
-    = shooter.centerX - bullet.halfWidth
-    + (offsetFromCenter * Math.cos(angle));
-  bullet.y
-    = shooter.centerY - bullet.halfHeight
-    + (offsetFromCenter * Math.sin(angle));
+  let start = vector(shooter.centerX, shooter.centerY)
+    .add(direction.scale(offsetFromCenter));
+  bullet.x = start.x - bullet.halfWidth;
+  bullet.y = start.y - bullet.halfHeight;
 
   //Set the bullet's velocity
-  bullet.vx = Math.cos(angle) * bulletSpeed;
-  bullet.vy = Math.sin(angle) * bulletSpeed;
+  let velocity = direction.scale(bulletSpeed);
+  bullet.vx = velocity.x;
+  bullet.vy = velocity.y;
 
   //Push the bullet into the `bulletArray`
   bulletArray.push(bullet);
@@ -0,0 +1,237 @@
+/*
+vector.js
+=========
+
+This JavaScript file contains a 2D vector type and some useful
+functions for working with line segments.
+
+Make a vector with the `vector` function:
+
+    let v1 = vector(3, 4);
+
+Vectors have `x` and `y` properties, a `length` (the vector's magnitude),
+an `angle` (its direction, in radians), `leftNormal` and `rightNormal`
+properties, and these methods:
+
+- add, sub, scale, dot, cross, normalize, project, reflect,
+  rotate, clone
+
+The methods don't change the vector. Instead, they return a new
+vector, so you can chain them together:
+
+    let velocity = vector(ship.vx, ship.vy).normalize().scale(5);
+
+You can use any object with `x` and `y` properties, like a sprite or
+the pointer, as the argument to a vector's methods.
+
+The line segment functions work with any objects that have `ax`, `ay`,
+`bx` and `by` properties, like the `line` sprite:
+
+- segmentVector
+- closestPointOnSegment
+- distanceToSegment
+- segmentIntersection
+
+*/
+
+/*
+Vector2
+-------
+
+A Vector2 class
+*/
+
+export class Vector2 {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  //Make a unit vector that points in the direction of an angle, in
+  //radians, and optionally scale it to a length
+  static fromAngle(angle, length = 1) {
+    return new Vector2(Math.cos(angle) * length, Math.sin(angle) * length);
+  }
+
+  //The vector's magnitude
+  get length() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+
+  //The left and right normals. These are the vectors at right angles
+  //to this vector
+  get leftNormal() {
+    return new Vector2(this.y, -this.x);
+  }
+  get rightNormal() {
+    return new Vector2(-this.y, this.x);
+  }
+
+  clone() {
+    return new Vector2(this.x, this.y);
+  }
+
+  add(v) {
+    return new Vector2(this.x + v.x, this.y + v.y);
+  }
+
+  sub(v) {
+    return new Vector2(this.x - v.x, this.y - v.y);
+  }
+
+  //Multiply the vector by a number
+  scale(amount) {
+    return new Vector2(this.x * amount, this.y * amount);
+  }
+
+  //The dot product. If both vectors are unit vectors, this tells you
+  //how much they point in the same direction: 1 if they're the same,
+  //0 if they're at right angles and -1 if they're opposite
+  dot(v) {
+    return this.x * v.x + this.y * v.y;
+  }
+
+  //The perpendicular dot product (the 2D cross product). It's
+  //positive if `v` is clockwise from this vector and negative if it's
+  //counter-clockwise
+  cross(v) {
+    return this.x * v.y - this.y * v.x;
+  }
+
+  //Return the unit vector, which has a length of 1. A vector with no
+  //length returns a vector with no length
+  normalize() {
+    let length = this.length;
+    if (length === 0) return new Vector2(0, 0);
+    return new Vector2(this.x / length, this.y / length);
+  }
+
+  //Project this vector onto another vector
+  project(v) {
+    let lengthSquared = v.x * v.x + v.y * v.y;
+    if (lengthSquared === 0) return new Vector2(0, 0);
+    return new Vector2(v.x, v.y).scale(this.dot(v) / lengthSquared);
+  }
+
+  //Reflect this vector off a surface. The `normal` is the unit vector
+  //at right angles to the surface
+  reflect(normal) {
+    let dotProduct = this.dot(normal);
+    return new Vector2(
+      this.x - 2 * dotProduct * normal.x,
+      this.y - 2 * dotProduct * normal.y
+    );
+  }
+
+  //Rotate the vector by an angle, in radians
+  rotate(angle) {
+    let cos = Math.cos(angle),
+        sin = Math.sin(angle);
+    return new Vector2(
+      this.x * cos - this.y * sin,
+      this.x * sin + this.y * cos
+    );
+  }
+
+  //The vector's angle, in radians
+  get angle() {
+    return Math.atan2(this.y, this.x);
+  }
+}
+
+//A higher level wrapper for making vectors
+export function vector(x, y) {
+  return new Vector2(x, y);
+}
+
+/*
+segmentVector
+-------------
+
+Return the vector from a line segment's start point to its end point.
+Parameters:
+a. An object with `ax`, `ay`, `bx` and `by` properties.
+*/
+
+export function segmentVector(segment) {
+  return new Vector2(segment.bx - segment.ax, segment.by - segment.ay);
+}
+
+/*
+closestPointOnSegment
+---------------------
+
+Return the point on a line segment that's closest to another point.
+Parameters:
+a. An object with `x` and `y` properties.
+b. An object with `ax`, `ay`, `bx` and `by` properties.
+The function returns a vector.
+*/
+
+export function closestPointOnSegment(point, segment) {
+  let start = new Vector2(segment.ax, segment.ay),
+      line = segmentVector(segment),
+      lengthSquared = line.dot(line);
+
+  //If the segment has no length, its start point is the closest point
+  if (lengthSquared === 0) return start;
+
+  //Find how far along the segment the point is, as a number
+  //between 0 and 1
+  let t = new Vector2(point.x, point.y).sub(start).dot(line) / lengthSquared;
+  t = Math.max(0, Math.min(1, t));
+
+  return start.add(line.scale(t));
+}
+
+/*
+distanceToSegment
+-----------------
+
+Return the distance between a point and the closest point on a line
+segment.
+Parameters:
+a. An object with `x` and `y` properties.
+b. An object with `ax`, `ay`, `bx` and `by` properties.
+*/
+
+export function distanceToSegment(point, segment) {
+  return closestPointOnSegment(point, segment).sub(point).length;
+}
+
+/*
+segmentIntersection
+-------------------
+
+Find the point where two line segments cross.
+Parameters:
+a. An object with `ax`, `ay`, `bx` and `by` properties.
+b. An object with `ax`, `ay`, `bx` and `by` properties.
+If the segments cross, the function returns a vector with two extra
+properties: `t`, which is how far along the first segment the
+intersection point is, and `u`, which is how far along the second
+segment it is. They're both numbers between 0 and 1.
+If the segments don't cross, or if they're parallel, it returns
+`undefined`.
+*/
+
+export function segmentIntersection(segment1, segment2) {
+  let v1 = segmentVector(segment1),
+      v2 = segmentVector(segment2),
+      v3 = new Vector2(segment2.ax - segment1.ax, segment2.ay - segment1.ay),
+      perpProduct = v1.cross(v2);
+
+  //Parallel segments don't cross
+  if (perpProduct === 0) return undefined;
+
+  //Find how far along each segment the intersection point is
+  let t = v3.cross(v2) / perpProduct,
+      u = v3.cross(v1) / perpProduct;
+
+  if (t < 0 || t > 1 || u < 0 || u > 1) return undefined;
+
+  let intersection = new Vector2(segment1.ax, segment1.ay).add(v1.scale(t));
+  intersection.t = t;
+  intersection.u = u;
+  return intersection;
+}